@@ -0,0 +1,560 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+
+// filament-sync <command> [options]
+//
+// One entrypoint for every step: expand the slicer presets, build the printer
+// files, upload them, and inspect / restore the printer. The tools/ modules do
+// the work; this file only parses flags and maps results to exit codes.
+//
+// Modules are required inside each command, after --config / --verbose have
+// been applied, because they read user-config.js and FILAMENT_SYNC_DEBUG when
+// they load.
+
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+
+const GLOBAL_HELP = `Usage: filament-sync <command> [options]
+
+Commands:
+  expand     Expand truncated slicer presets into filament/base
+  build      Build material_database.json / material_option.json in ./data
+  upload     Upload the files in ./data to the printer
+  sync       expand + build + upload (what windows-sync.bat used to do)
+  status     Show the printer's database, loaded filaments and sync state
+  restore    List local backups or put one back on the printer
+  import     Turn printer database entries into slicer user presets
+  rfid       Make or read a CFS RFID tag for a filament id
+  validate   Check filament_notes in every preset
+  watch      Sync automatically whenever a preset is saved
+
+  install-service    Install the printer-side service that picks up uploads
+  verify-service     Check the service is running and has the last upload
+  uninstall-service  Stop and remove the service
+
+Options (all commands):
+  --config <file>    Use this config file instead of ./user-config.js
+  --printer <name>   Only these PRINTERS entries (repeatable or comma-separated)
+  --verbose, -v      Verbose logging (same as FILAMENT_SYNC_DEBUG=1)
+  --dry-run          Show what would change; write nothing to the printer
+  --help, -h         Help for a command: filament-sync <command> --help
+
+Exit codes: 0 success, 1 failed (or validation problems), 2 bad usage.`;
+
+// flags: name -> true (boolean) or 'value' (takes an argument)
+const GLOBAL_FLAGS = {
+  '--config': 'value',
+  '--printer': 'value',
+  '--verbose': true,
+  '-v': true,
+  '--dry-run': true,
+  '--help': true,
+  '-h': true,
+};
+
+const log = (...args) => console.log('[Filament-Sync]', ...args);
+
+const expandOptions = (opts) => ({
+  force: opts.flags['--force'] === true,
+  root: opts.flags['--root'] || null,
+  slicer: opts.flags['--slicer'] || undefined,
+});
+
+const runExpand = (opts) => {
+  const { expandPresets } = require('./fix-creality-base-filaments.js');
+  return expandPresets({ ...expandOptions(opts), dryRun: opts.dryRun });
+};
+
+// Dry-run expansion the build can read from; see stagePresets.
+const runStage = (opts) => {
+  const { stagePresets } = require('./fix-creality-base-filaments.js');
+  return stagePresets(expandOptions(opts));
+};
+
+const runBuild = async (opts, { upload, stagedBaseDirs }) => {
+  const { syncPrinters } = require('./tools/sync.js');
+  await syncPrinters({
+    printerArgs: opts.printerArgs,
+    dryRun: opts.dryRun,
+    upload,
+    json: opts.flags['--json'] === true,
+    stagedBaseDirs,
+  });
+};
+
+// Runs fn for each selected printer; with several, a failure doesn't stop the rest.
+const forEachPrinter = async (opts, fn) => {
+  const { selectPrinters } = require('./tools/printers.js');
+  const printers = selectPrinters(opts.printerArgs);
+  let failed = 0;
+  for (const printer of printers) {
+    try {
+      await fn(printer);
+    } catch (err) {
+      if (printers.length === 1) throw err;
+      failed++;
+      console.error(`[Filament-Sync] ERROR (${printer.name}):`, err?.message || err);
+    }
+  }
+  if (failed) throw new Error(`${failed} of ${printers.length} printer(s) failed.`);
+};
+
+const COMMANDS = {
+  expand: {
+    summary: 'Expand truncated slicer presets into filament/base.',
+    usage: 'filament-sync expand [--force] [--root <dir>] [--slicer orca|creality] [--dry-run]',
+    details: `Only presets whose source changed are rebuilt; --force rebuilds all of them.
+--root points at a copied "Creality Print" / "OrcaSlicer" folder.`,
+    flags: { '--force': true, '--root': 'value', '--slicer': 'value' },
+    run: async (opts) => {
+      runExpand(opts);
+    },
+  },
+  build: {
+    summary: 'Build the printer files in ./data and show what changes.',
+    usage: 'filament-sync build [--printer <name>] [--json] [--dry-run]',
+    details: `Reads the printer's current files as the baseline. Nothing is uploaded;
+run "filament-sync upload" afterwards. --json prints the diff as JSON.`,
+    flags: { '--json': true },
+    run: (opts) => runBuild(opts, { upload: false }),
+  },
+  upload: {
+    summary: 'Upload the files in ./data to the printer.',
+    usage: 'filament-sync upload [--printer <name>] [--dry-run]',
+    details: 'Uploads what the last "build" produced. The printer files are backed up first.',
+    flags: {},
+    run: (opts) => {
+      const { sendFiles } = require('./tools/scp.js');
+      const { getDataDir } = require('./tools/printers.js');
+      const { MANIFEST_NAME } = require('./tools/manifest.js');
+      return forEachPrinter(opts, async (printer) => {
+        if (opts.dryRun) {
+          log(`${printer.name}: would upload to ${printer.remoteDir}${printer.directWrite ? ` and install into ${printer.boxDir}` : ''}:`);
+          for (const name of ['material_database.json', 'material_option.json', MANIFEST_NAME]) {
+            const p = path.join(getDataDir(printer), name);
+            console.log(`  ${p}${fs.existsSync(p) ? ` (${fs.statSync(p).size} bytes)` : ' (missing; run build)'}`);
+          }
+          return;
+        }
+        await sendFiles(printer);
+        log(`${printer.name}: uploaded.`);
+      });
+    },
+  },
+  sync: {
+    summary: 'Expand, build and upload in one go.',
+    usage: 'filament-sync sync [--printer <name>] [--force] [--root <dir>] [--slicer orca|creality] [--json] [--dry-run]',
+    details: `Expand errors (e.g. no Creality Print folder) are reported and the sync goes on.
+--dry-run expands into a temp copy of filament/base and builds from that.`,
+    flags: { '--force': true, '--root': 'value', '--slicer': 'value', '--json': true },
+    run: async (opts) => {
+      const { logsToStderr } = require('./tools/sync.js');
+      // --dry-run: expand into a temp copy of filament/base and build from that
+      const expand = () => (opts.dryRun ? runStage(opts) : runExpand(opts));
+      let stage = null;
+      try {
+        const res = await (opts.flags['--json'] === true ? logsToStderr(expand) : expand());
+        if (opts.dryRun) stage = res;
+      } catch (err) {
+        // OrcaSlicer / uncut presets still sync without the expander
+        console.error('[Filament-Sync] WARN (expand):', err?.message || err);
+      }
+      try {
+        await runBuild(opts, { upload: true, stagedBaseDirs: stage?.staged });
+      } finally {
+        if (stage) stage.cleanup();
+      }
+    },
+  },
+  status: {
+    summary: "Show the printer's database, loaded filaments and sync state.",
+    usage: 'filament-sync status [--printer <name>] [--json]',
+    details: `Read-only. Shows the database version and count, which synced ids it has,
+the CFS / spool holder slots from REMOTE_BOX_DIR, and whether the last upload in
+REMOTE_SYNC_DIR has been picked up by the printer.`,
+    flags: { '--json': true },
+    run: async (opts) => {
+      const { getStatus, printStatus } = require('./tools/status-tool.js');
+      const { selectPrinters } = require('./tools/printers.js');
+      const all = [];
+      for (const printer of selectPrinters(opts.printerArgs)) {
+        const status = await getStatus(printer);
+        all.push(status);
+        if (!opts.flags['--json']) printStatus(status);
+      }
+      if (opts.flags['--json']) {
+        console.log(JSON.stringify(all.map(({ printer, ...rest }) => ({ printer: printer.name, ...rest })), null, 2));
+      }
+      if (all.some((s) => !s.reachable)) throw new Error('Some printers could not be reached.');
+    },
+  },
+  restore: {
+    summary: 'List local backups or put one back on the printer.',
+    usage: 'filament-sync restore [<stamp>|latest] [--printer <name>] [--yes] [--prune] [--dry-run]',
+    details: `Without a stamp, lists the backups. With one, shows the diff against the
+printer, asks for confirmation (--yes skips it) and uploads.
+--prune applies BACKUP_KEEP / BACKUP_MAX_AGE_DAYS now.`,
+    flags: { '--yes': true, '-y': true, '--prune': true },
+    positional: 1,
+    run: (opts) => {
+      const { restoreCommand } = require('./restore.js');
+      return restoreCommand({
+        stamp: opts.positional[0] || null,
+        printerArgs: opts.printerArgs,
+        dryRun: opts.dryRun,
+        yes: opts.flags['--yes'] === true || opts.flags['-y'] === true,
+        prune: opts.flags['--prune'] === true,
+      });
+    },
+  },
+  import: {
+    summary: "Turn printer database entries into slicer user presets.",
+    usage: 'filament-sync import [<id>...|--all] [--printer <name>] [--force] [--dry-run]',
+    details: `Without ids, lists the printer's entries (* = already a slicer preset).
+Presets are written to your slicer's user filament folder with filament_notes
+filled in, and expanded into filament/base by the next "expand" or "sync"
+(presets without an installed parent go straight into filament/base). Ids that
+a preset already uses and existing files are skipped unless --force is given.`,
+    flags: { '--all': true, '--force': true },
+    positional: Infinity,
+    run: async (opts) => {
+      const { getFilamentRoot } = require('./tools/config.js');
+      const { selectPrinters, canConnect } = require('./tools/printers.js');
+      const { loadPrinterEntries, loadPresetIds, importEntries } = require('./tools/import-tool.js');
+
+      const printers = selectPrinters(opts.printerArgs);
+      if (printers.length > 1) throw new Error('Several printers are configured; pick one with --printer <NAME>.');
+      const printer = printers[0];
+      if (!canConnect(printer)) throw new Error(`Cannot connect to ${printer.name}: missing host or credentials.`);
+
+      const filamentRoot = getFilamentRoot();
+      const entries = await loadPrinterEntries(printer);
+
+      if (!opts.positional.length && !opts.flags['--all']) {
+        const ids = loadPresetIds(filamentRoot);
+        log(`${entries.length} filament(s) on ${printer.name}:`);
+        for (const e of entries) {
+          const b = e.base;
+          console.log(`  ${ids.has(String(b.id)) ? '*' : ' '} ${b.id}  ${b.brand} / ${b.meterialType} / ${b.name}`);
+        }
+        console.log('\nRun: filament-sync import <id> [<id>...] (or --all)');
+        return;
+      }
+
+      const res = importEntries(entries, filamentRoot, {
+        ids: opts.flags['--all'] ? null : opts.positional,
+        force: opts.flags['--force'] === true,
+        dryRun: opts.dryRun,
+      });
+      for (const w of res.written) {
+        const how = w.expand ? `inherits "${w.inherits}"` : 'no parent preset installed, written as a full preset';
+        log(`${opts.dryRun ? 'Would write' : 'Wrote'} ${w.id} -> ${w.path} (${how})`);
+      }
+      for (const s of res.skipped) log(`Skipped ${s.id}: ${s.reason}`);
+      log(`${opts.dryRun ? 'Dry run: ' : ''}${res.written.length} imported, ${res.skipped.length} skipped.`);
+      if (res.written.length && !opts.dryRun) {
+        log('Run "filament-sync expand" (or sync) and restart the slicer to see the new presets.');
+      }
+    },
+  },
+  rfid: {
+    summary: 'Make or read a CFS RFID tag for a filament id.',
+    usage: `filament-sync rfid <id> [--weight <g>] [--color <#RRGGBB>] [--serial <n>] [--uid <hex> --out <file>]
+       filament-sync rfid decode <dump file>`,
+    details: `Uses the filament as last built in ./data (run "build" first): the colour
+defaults to its default_filament_colour, the spool length comes from --weight
+(default 1000) and its diameter. Prints the tag payload as text and hex.
+--out writes a whole-tag dump for the tag with UID --uid: .mfd (binary, for
+nfc-mfclassic / NFC Tools) or .txt (MIFARE Classic Tool text format).
+"decode" reads such a dump (or the hex of blocks 4-6) and looks the id up.`,
+    flags: { '--weight': 'value', '--color': 'value', '--serial': 'value', '--uid': 'value', '--out': 'value' },
+    positional: 2,
+    run: async (opts) => {
+      const rfid = require('./tools/rfid-tool.js');
+      const { selectPrinters } = require('./tools/printers.js');
+
+      const printers = selectPrinters(opts.printerArgs);
+      if (printers.length > 1) throw new Error('Several printers are configured; pick one with --printer <NAME>.');
+      const local = rfid.loadLocalEntries(printers[0]);
+      const [first, second] = opts.positional;
+
+      if (first === 'decode') {
+        if (!second) throw new UsageError('rfid decode needs a dump file.');
+        const tag = rfid.decodeDump(fs.readFileSync(second));
+        if (tag.uid) log(`UID ${tag.uid}${tag.keyOk === false ? ' (sector 1 key does not match this UID)' : ''}`);
+        if (!tag.fields) {
+          log('No CFS filament payload in blocks 4-6.');
+          return EXIT_FAILED;
+        }
+        const f = tag.fields;
+        const entry = rfid.findEntry(local.list, f.id);
+        const weight = rfid.spoolWeight(f.length, { weightPerMeter: entry?.base?.weightPerMeter });
+        log(`Payload${tag.encrypted ? '' : ' (not encrypted)'}: ${tag.payload}`);
+        console.log(`  filament id: ${f.id}`);
+        console.log(`  color:       ${f.color}`);
+        console.log(`  length:      ${f.length} m (~${weight} g)`);
+        console.log(`  vendor:      ${f.vendor}, batch ${f.batch}, date ${f.date}, serial ${f.serial}`);
+        if (!entry) {
+          log(`${f.id} is not in ${local.path}.`);
+          return EXIT_FAILED;
+        }
+        console.log(`  filament:    ${entry.base.brand} / ${entry.base.meterialType} / ${entry.base.name}`);
+        return EXIT_OK;
+      }
+
+      if (!first || second) throw new UsageError('Usage: filament-sync rfid <id> or filament-sync rfid decode <file>.');
+      const entry = rfid.findEntry(local.list, first);
+      if (!entry) throw new Error(`Filament ${first} is not in ${local.path}; run "filament-sync build" first.`);
+      if (opts.flags['--out'] && !opts.flags['--uid']) throw new UsageError('--out needs the tag UID (--uid).');
+
+      const { base } = entry;
+      const length = rfid.spoolLength(opts.flags['--weight'] ?? 1000, {
+        diameter: base.diameter,
+        weightPerMeter: base.weightPerMeter,
+      });
+      const payload = rfid.buildPayload({
+        id: base.id,
+        color: opts.flags['--color'] || base.colors?.[0] || '#ffffff',
+        length,
+        serial: opts.flags['--serial'] ?? 1,
+      });
+      const data = rfid.encryptPayload(payload);
+
+      log(`${base.id} ${base.brand} / ${base.meterialType} / ${base.name}`);
+      console.log(`  payload:    ${payload}`);
+      for (let i = 0; i < 3; i++) {
+        console.log(`  block ${4 + i}:    ${data.subarray(i * 16, (i + 1) * 16).toString('hex').toUpperCase()}`);
+      }
+
+      if (opts.flags['--uid']) {
+        console.log(`  sector 1 key A: ${rfid.sectorKey(opts.flags['--uid']).toString('hex').toUpperCase()}`);
+      }
+      const out = opts.flags['--out'];
+      if (out) {
+        const dump = rfid.buildDump(payload, opts.flags['--uid']);
+        fs.writeFileSync(out, /\.(txt|mct)$/i.test(out) ? rfid.dumpToText(dump) : dump);
+        log(`Wrote ${out}`);
+      }
+    },
+  },
+  'install-service': {
+    summary: 'Install the printer-side service that picks up uploads.',
+    usage: 'filament-sync install-service [--printer <name>] [--dry-run]',
+    details: `Pushes the service script to REMOTE_SYNC_DIR and an init script to
+/etc/init.d (procd where the firmware has it), enables and starts it. The service
+copies uploaded files into REMOTE_BOX_DIR whenever they are newer.
+Run "filament-sync verify-service" afterwards.`,
+    flags: {},
+    run: (opts) => {
+      const { assertUploadConfig } = require('./tools/scp.js');
+      const { installService } = require('./tools/service-tool.js');
+      return forEachPrinter(opts, (printer) => installService(assertUploadConfig(printer), { dryRun: opts.dryRun }));
+    },
+  },
+  'verify-service': {
+    summary: 'Check that the printer-side service is installed, running and up to date.',
+    usage: 'filament-sync verify-service [--printer <name>] [--wait <seconds>]',
+    details: `Read-only. Also checks that the box-dir database has the version last
+uploaded, waiting up to --wait seconds (default 15) for the service to copy it.`,
+    flags: { '--wait': 'value' },
+    run: async (opts) => {
+      const { assertUploadConfig } = require('./tools/scp.js');
+      const { verifyService } = require('./tools/service-tool.js');
+      const wait = opts.flags['--wait'] === undefined ? undefined : Number(opts.flags['--wait']);
+      if (wait !== undefined && !(wait >= 0)) throw new UsageError('--wait needs a number of seconds.');
+
+      let failed = false;
+      await forEachPrinter(opts, async (printer) => {
+        const res = await verifyService(assertUploadConfig(printer), { waitMs: wait === undefined ? undefined : wait * 1000 });
+        log(`${printer.name}: ${res.ok ? 'service OK' : 'service NOT OK'}`);
+        for (const c of res.checks) console.log(`  ${c.ok ? '✓' : '✗'} ${c.name}: ${c.detail}`);
+        if (!res.ok) failed = true;
+      });
+      return failed ? EXIT_FAILED : EXIT_OK;
+    },
+  },
+  'uninstall-service': {
+    summary: 'Stop and remove the printer-side service.',
+    usage: 'filament-sync uninstall-service [--printer <name>] [--dry-run]',
+    details: 'The synced files in REMOTE_SYNC_DIR and the printer database are left as they are.',
+    flags: {},
+    run: (opts) => {
+      const { assertUploadConfig } = require('./tools/scp.js');
+      const { uninstallService } = require('./tools/service-tool.js');
+      return forEachPrinter(opts, (printer) => uninstallService(assertUploadConfig(printer), { dryRun: opts.dryRun }));
+    },
+  },
+  validate: {
+    summary: 'Check filament_notes in every preset.',
+    usage: 'filament-sync validate [--printer <name>]',
+    details: `Ids are checked against each printer's database (the stock list when it
+can't be reached). Exits 1 when a preset would be skipped or the sync would be
+refused. Nothing is written.`,
+    flags: {},
+    run: async (opts) => {
+      const { checkProfiles } = require('./tools/config.js');
+      const { selectPrinters, canConnect } = require('./tools/printers.js');
+      const { createSession } = require('./tools/session.js');
+      const targets = selectPrinters(opts.printerArgs).map((printer) => ({
+        printer,
+        session: canConnect(printer) ? createSession(printer) : null,
+      }));
+      let report;
+      try {
+        report = await checkProfiles({ targets });
+      } finally {
+        for (const { session } of targets) if (session) session.close();
+      }
+      const errors = report.problems.filter((p) => p.level === 'error').length;
+      const warnings = report.problems.filter((p) => p.level === 'warning').length;
+      log(
+        `Checked ${report.total} preset(s): ${errors} error(s), ${report.conflicts} conflict(s), ${warnings} warning(s).`
+      );
+      if (errors || report.conflicts) return EXIT_FAILED;
+      return EXIT_OK;
+    },
+  },
+  watch: {
+    summary: 'Sync automatically whenever a preset is saved.',
+    usage: 'filament-sync watch [--printer <name>] [--dry-run]',
+    details: 'Runs until stopped with Ctrl+C. WATCH_DEBOUNCE_MS sets the quiet time before a sync.',
+    flags: {},
+    run: async (opts) => {
+      const { startWatch } = require('./watch.js');
+      startWatch({ printerArgs: opts.printerArgs, dryRun: opts.dryRun });
+      return new Promise(() => {}); // keep running
+    },
+  },
+};
+
+class UsageError extends Error {}
+
+// Every option that takes a value, so "--printer hi sync" finds "sync" as the command.
+const VALUE_FLAGS = new Set(
+  [GLOBAL_FLAGS, ...Object.values(COMMANDS).map((c) => c.flags)].flatMap((f) =>
+    Object.keys(f).filter((k) => f[k] === 'value')
+  )
+);
+
+const findCommandName = (argv) => {
+  for (let i = 0; i < argv.length; i++) {
+    if (VALUE_FLAGS.has(argv[i])) i++;
+    else if (!argv[i].startsWith('-')) return argv[i];
+  }
+  return null;
+};
+
+const parseArgs = (argv) => {
+  const commandName = findCommandName(argv);
+  const command = commandName ? COMMANDS[commandName] : null;
+  if (commandName && !command && commandName !== 'help') {
+    throw new UsageError(`Unknown command "${commandName}".`);
+  }
+
+  const known = { ...GLOBAL_FLAGS, ...(command?.flags || {}) };
+  const flags = {};
+  const printerArgs = [];
+  const positional = [];
+  let seenCommand = false;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('-')) {
+      if (!seenCommand && arg === commandName) {
+        seenCommand = true;
+        continue;
+      }
+      positional.push(arg);
+      continue;
+    }
+
+    const eq = arg.indexOf('=');
+    const name = eq > 0 ? arg.slice(0, eq) : arg;
+    const kind = known[name];
+    if (!kind) throw new UsageError(`Unknown option "${name}"${commandName ? ` for ${commandName}` : ''}.`);
+
+    let value = true;
+    if (kind === 'value') {
+      value = eq > 0 ? arg.slice(eq + 1) : argv[++i];
+      if (!value || (eq < 0 && value.startsWith('-'))) throw new UsageError(`${name} needs a value.`);
+    } else if (eq > 0) {
+      throw new UsageError(`${name} does not take a value.`);
+    }
+
+    if (name === '--printer') printerArgs.push(...value.split(',').map((s) => s.trim()).filter(Boolean));
+    else flags[name] = value;
+  }
+
+  if (commandName === 'help') {
+    return { commandName: positional[0] || null, command: COMMANDS[positional[0]] || null, help: true, flags, positional: [] };
+  }
+  if (positional.length > (command?.positional || 0)) {
+    throw new UsageError(`Unexpected argument "${positional[command?.positional || 0]}".`);
+  }
+
+  return {
+    commandName,
+    command,
+    help: flags['--help'] === true || flags['-h'] === true,
+    flags,
+    printerArgs,
+    positional,
+    dryRun: flags['--dry-run'] === true,
+  };
+};
+
+const printHelp = (commandName, command) => {
+  if (!command) {
+    console.log(GLOBAL_HELP);
+    return;
+  }
+  console.log(`${command.summary}\n\nUsage: ${command.usage}\n\n${command.details}\n\nSee "filament-sync --help" for the options every command takes.`);
+};
+
+const main = async (argv) => {
+  let opts;
+  try {
+    opts = parseArgs(argv);
+  } catch (err) {
+    if (!(err instanceof UsageError)) throw err;
+    console.error(`filament-sync: ${err.message}\n`);
+    console.error(GLOBAL_HELP);
+    return EXIT_USAGE;
+  }
+
+  if (opts.help || !opts.command) {
+    printHelp(opts.commandName, opts.command);
+    return opts.help ? EXIT_OK : EXIT_USAGE;
+  }
+
+  if (opts.flags['--config']) {
+    const configPath = path.resolve(opts.flags['--config']);
+    if (!fs.existsSync(configPath)) {
+      console.error(`[Filament-Sync] ERROR: config file not found: ${configPath}`);
+      return EXIT_FAILED;
+    }
+    process.env.FILAMENT_SYNC_CONFIG = configPath;
+  }
+  if (opts.flags['--verbose'] || opts.flags['-v']) process.env.FILAMENT_SYNC_DEBUG = '1';
+
+  try {
+    const code = await opts.command.run(opts);
+    return typeof code === 'number' ? code : EXIT_OK;
+  } catch (err) {
+    if (err instanceof UsageError) {
+      console.error(`filament-sync: ${err.message}\n\nUsage: ${opts.command.usage}`);
+      return EXIT_USAGE;
+    }
+    console.error('\n[Filament-Sync] ERROR:', err?.message || err);
+    if (process.env.FILAMENT_SYNC_DEBUG) {
+      console.error(err);
+    }
+    return EXIT_FAILED;
+  }
+};
+
+main(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+});
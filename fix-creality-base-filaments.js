@@ -3,51 +3,89 @@
  * fix-creality-base-filaments.js
  *
  * Purpose:
- *   Creality Print sometimes stores "custom" filament presets as *truncated* JSON files
- *   (only the settings you changed). Filament-Sync expects the *full* preset (hundreds
- *   of lines / lots of keys). This script expands those truncated presets by merging:
+ *   Creality Print and OrcaSlicer sometimes store "custom" filament presets as *truncated*
+ *   JSON files (only the settings you changed). Filament-Sync expects the *full* preset
+ *   (hundreds of lines / lots of keys). This script expands those truncated presets by merging:
  *
- *     root template (e.g. fdm_filament_petg)
+ *     every template up the `inherits` chain (e.g. fdm_filament_common -> fdm_filament_petg)
  *        + the chosen system preset (e.g. "Generic PETG @Creality Hi 0.4 nozzle")
  *        + your truncated user preset (e.g. "PETG-CF ExampleBrand")
  *
+ *   Each output lists the files it was merged from (nearest first) in the string key
+ *   "filament_sync_chain". The file every key came from is written next to it as
+ *   "<preset>.sources", for auditing.
+ *
  *   Output is written to:
  *     .../Creality Print/<version>/user/<USERID>/filament/base/<preset>.json
+ *     .../OrcaSlicer/user/<USERID>/filament/base/<preset>.json        (SLICER: 'orca')
  *
  * Behavior:
- *   - Prefers Creality Print 6.0 first (per repo README) but will also process 7.0
+ *   - Uses SLICER from user-config.js (or --slicer orca|creality).
+ *   - Creality Print: prefers 6.0 first (per repo README) but will also process 7.0
  *     (and any other numeric version folders it finds) if present.
+ *   - System presets are indexed once per run by filename and internal "name"
+ *     (cached in temp/system-preset-index.json, refreshed when files change).
+ *   - OrcaSlicer: looks up `inherits` in system/<Vendor>/filament. A vendor-specific
+ *     "@" variant that isn't installed (e.g. "Generic PLA @Creality K1") falls back to
+ *     the shared "Generic PLA @System" / "Generic PLA" preset.
  *   - Does NOT modify your original presets by default.
- *   - Skips output files that already exist unless you pass --force.
+ *   - Rebuilds an output only when its inputs changed: each output stores a hash of the
+ *     user preset and every preset it inherits from. --force rebuilds everything.
+ *   - Removes outputs it generated whose user preset was deleted. Base files it didn't
+ *     generate are left alone (and only overwritten with --force).
+ *   - Finds the slicer in the same place as the sync does (tools/slicer-paths.js):
+ *       Windows: %APPDATA%\Creality\Creality Print           %APPDATA%\OrcaSlicer
+ *       macOS:   ~/Library/Application Support/Creality/Creality Print   .../OrcaSlicer
+ *       Linux:   ~/.config/Creality/Creality Print             ~/.config/OrcaSlicer
  *
  * Run:
  *   node fix-creality-base-filaments.js
  *   node fix-creality-base-filaments.js --force
+ *   node fix-creality-base-filaments.js --slicer orca
+ *   node fix-creality-base-filaments.js --dry-run
+ *   node fix-creality-base-filaments.js --root "/path/to/copy/of/Creality Print"
  */
 
+const crypto = require("crypto");
 const fs = require("fs");
-const path = require("path");
 const os = require("os");
+const path = require("path");
+
+const { getOSInfo, getSlicerBaseDir, listCrealityVersions } = require("./tools/slicer-paths");
+const { loadPresetIndex } = require("./tools/preset-index");
 
 // --- Load user-config.js (best effort) ---
 let USERID = "default";
+let SLICER = "creality";
 try {
-  const cfg = require("./user-config");
+  const cfg = require("./tools/settings");
   if (cfg && typeof cfg.USERID !== "undefined") USERID = String(cfg.USERID);
+  if (cfg && cfg.SLICER) SLICER = String(cfg.SLICER).toLowerCase();
 } catch (e) {
   // If user-config.js isn't present or doesn't export USERID, we fall back to 'default'
 }
 
-// --- CLI flags ---
-const argv = process.argv.slice(2);
-const FORCE = argv.includes("--force");
-
-// --- Paths ---
-const APPDATA =
-  process.env.APPDATA ||
-  path.join(os.homedir(), "AppData", "Roaming"); // Windows fallback
-
-const CREALITY_ROOT = path.join(APPDATA, "Creality", "Creality Print");
+// --- Options ---
+// force:  rebuild every output, even up-to-date ones and ones this script didn't create
+// root:   "Creality Print" / "OrcaSlicer" folder to use instead of the OS default
+// slicer: "orca" | "creality" (default: SLICER from user-config.js)
+// only:   user preset file names to expand; the rest are left as they are
+// dryRun: report what would be written or removed without touching any file
+function resolveOptions({ force = false, root = null, slicer = SLICER, only = null, dryRun = false } = {}) {
+  const name = String(slicer || "").toLowerCase();
+  if (name !== "orca" && name !== "creality") {
+    throw new Error(`SLICER must be "orca" or "creality" (got "${slicer}").`);
+  }
+  return {
+    force,
+    slicer: name,
+    rootOverride: root,
+    // ".../Creality/Creality Print" or ".../OrcaSlicer"
+    slicerRoot: root ? path.resolve(root) : getSlicerBaseDir({ ...getOSInfo(), slicer: name }),
+    only: only ? new Set(only) : null,
+    dryRun,
+  };
+}
 
 // --- Helpers ---
 function isDir(p) {
@@ -66,12 +104,8 @@ function isFile(p) {
   }
 }
 
-function listVersionDirs() {
-  if (!isDir(CREALITY_ROOT)) return [];
-  const entries = fs.readdirSync(CREALITY_ROOT, { withFileTypes: true });
-  return entries
-    .filter((e) => e.isDirectory() && /^[0-9]+\.[0-9]+$/.test(e.name))
-    .map((e) => e.name);
+function listVersionDirs(slicerRoot) {
+  return listCrealityVersions(slicerRoot);
 }
 
 function sortVersionsPrefer60First(versions) {
@@ -107,6 +141,17 @@ const STRING_KEYS = new Set([
   "is_custom_defined",
 ]);
 
+// Written into each expanded preset as plain strings, like the slicer's own setting_id:
+// a hash of the inputs and the merged files (nearest first, joined by ";").
+const HASH_KEY = "filament_sync_hash";
+const CHAIN_KEY = "filament_sync_chain";
+
+// Which file each key came from, next to the output. Not .json, so neither the
+// slicer nor the sync loads it as a preset.
+function sourcesPath(outPath) {
+  return outPath.replace(/\.json$/i, "") + ".sources";
+}
+
 function normalizePresetValues(preset) {
   const out = {};
   for (const [k, v] of Object.entries(preset || {})) {
@@ -135,50 +180,126 @@ function readJson(p) {
 }
 
 /**
- * Try to locate a system preset JSON file by name.
- * We first try common expected locations, then fall back to a limited recursive search.
+ * Names to try for an `inherits` value, most specific first.
+ *
+ * Vendor presets are named "<preset> @<vendor/printer>" (e.g. "Generic PLA @Creality K1").
+ * When that exact variant isn't installed we fall back to the shared library preset:
+ * OrcaSlicer calls it "<preset> @System", older trees just "<preset>".
  */
-function findSystemPresetPathByName(name, systemRoot) {
-  if (!name || typeof name !== "string") return null;
+function presetNameVariants(name) {
+  const out = [name];
+  const at = name.indexOf(" @");
+  if (at > 0) {
+    const stem = name.slice(0, at).trim();
+    out.push(`${stem} @System`, stem);
+  }
+  return [...new Set(out)];
+}
+
+// "Generic PLA @Creality K1" -> "Creality": check that vendor's folder first.
+function vendorHint(name) {
+  const m = /\s@(\S+)/.exec(name);
+  return m && m[1] !== "System" ? m[1] : null;
+}
+
+// One index per system folder per run (tools/preset-index.js caches it on disk).
+const presetIndexes = new Map();
 
-  const filename = `${name}.json`;
+function getPresetIndex(systemRoot) {
+  if (!presetIndexes.has(systemRoot)) {
+    const index = loadPresetIndex(systemRoot);
+    console.log(
+      `[base-fix] Indexed ${index.size} system presets (${index.parsed} new or changed)`
+    );
+    presetIndexes.set(systemRoot, index);
+  }
+  return presetIndexes.get(systemRoot);
+}
 
-  const candidates = [
-    path.join(systemRoot, "Creality", "filament", filename),
-    path.join(systemRoot, "Custom", "filament", filename),
-    path.join(systemRoot, "filament", filename),
-    path.join(systemRoot, "Creality", filename),
-    path.join(systemRoot, "Custom", filename),
-    path.join(systemRoot, filename),
+// Several vendor folders can hold a preset with the same name (OrcaSlicer ships an
+// fdm_filament_pla per vendor). Prefer the vendor folder of the child preset, then
+// the "@" vendor, then the usual shared folders.
+function pickPresetPath(paths, systemRoot, vendors) {
+  if (paths.length <= 1) return paths[0] || null;
+
+  const rank = (p) => {
+    const v = vendors.indexOf(path.relative(systemRoot, p).split(path.sep)[0]);
+    return v >= 0 ? v : vendors.length;
+  };
+  return paths.slice().sort((a, b) => rank(a) - rank(b))[0];
+}
+
+/**
+ * Try to locate a system preset JSON file by name (filename or its "name" field).
+ * `childPath` is the system preset that inherits from it, if any.
+ * Returns the path, or null. Logs when a fallback "@" variant was used instead.
+ */
+function findSystemPresetPathByName(name, systemRoot, childPath) {
+  if (!name || typeof name !== "string") return null;
+
+  const index = getPresetIndex(systemRoot);
+  const hint = vendorHint(name);
+  const childVendor = childPath ? path.relative(systemRoot, childPath).split(path.sep)[0] : null;
+  const vendors = [
+    ...new Set(
+      [childVendor, hint, "Creality", "Custom", "OrcaFilamentLibrary"].filter(Boolean)
+    ),
   ];
 
-  for (const p of candidates) {
-    if (isFile(p)) return p;
+  for (const variant of presetNameVariants(name)) {
+    const found = pickPresetPath(index.find(variant), systemRoot, vendors);
+    if (!found) continue;
+    if (variant !== name) {
+      console.log(`[base-fix] NOTE: "${name}" not installed; using "${variant}" instead`);
+    }
+    return found;
   }
 
-  // Fallback: limited recursive search (depth-limited)
-  const maxDepth = 5;
-  const queue = [{ dir: systemRoot, depth: 0 }];
+  return null;
+}
 
-  while (queue.length) {
-    const { dir, depth } = queue.shift();
-    if (depth > maxDepth) continue;
+/**
+ * Follow `inherits` from `name` up to the top-level template.
+ *
+ * Returns { chain, warnings, error }: `chain` lists { name, path, preset } nearest
+ * first (e.g. nozzle variant, vendor preset, fdm_filament_pla, fdm_filament_common).
+ * A missing or unreadable ancestor ends the chain with a warning; a cycle or a
+ * missing first level is an error.
+ */
+function resolveInheritanceChain(name, systemRoot) {
+  const chain = [];
+  const warnings = [];
+  const seen = new Set();
+  let current = name;
+
+  while (current) {
+    const childPath = chain.length ? chain[chain.length - 1].path : null;
+    const p = findSystemPresetPathByName(current, systemRoot, childPath);
+    if (!p) {
+      if (!chain.length) return { chain, warnings, error: `missing base preset "${current}"` };
+      warnings.push(`Could not find parent preset "${current}" of "${chain[chain.length - 1].name}"`);
+      break;
+    }
+    if (seen.has(p)) {
+      const names = chain.map((c) => c.name).concat(current);
+      return { chain, warnings, error: `inheritance cycle: ${names.join(" -> ")}` };
+    }
+    seen.add(p);
 
-    let entries = [];
+    let preset;
     try {
-      entries = fs.readdirSync(dir, { withFileTypes: true });
-    } catch {
-      continue;
+      preset = readJson(p);
+    } catch (e) {
+      if (!chain.length) return { chain, warnings, error: `bad base JSON "${current}"` };
+      warnings.push(`Parent preset "${current}" is not valid JSON`);
+      break;
     }
 
-    for (const e of entries) {
-      const full = path.join(dir, e.name);
-      if (e.isFile() && e.name === filename) return full;
-      if (e.isDirectory()) queue.push({ dir: full, depth: depth + 1 });
-    }
+    chain.push({ name: current, path: p, preset });
+    current = preset && typeof preset.inherits === "string" ? preset.inherits.trim() : "";
   }
 
-  return null;
+  return { chain, warnings, error: null };
 }
 
 function sanitizeFilename(name) {
@@ -186,34 +307,95 @@ function sanitizeFilename(name) {
   return name.replace(/[<>:"/\\|?*\x00-\x1F]/g, "_").trim();
 }
 
+// Bump when the merge logic changes so existing outputs are rebuilt.
+const EXPAND_FORMAT = 2;
+
+function hashInputs(profileRoot, levels) {
+  const h = crypto.createHash("sha256");
+  h.update(`format:${EXPAND_FORMAT}\n`);
+  for (const level of levels) {
+    h.update(`${treePath(profileRoot, level.path)}\n${JSON.stringify(level.preset)}\n`);
+  }
+  return h.digest("hex");
+}
+
+// { hash, chain } of an output we generated earlier, or null.
+function readExpandedMeta(outPath) {
+  try {
+    const out = readJson(outPath);
+    if (typeof out[HASH_KEY] === "string" && typeof out[CHAIN_KEY] === "string") {
+      return { hash: out[HASH_KEY], chain: out[CHAIN_KEY].split(";") };
+    }
+    return null;
+  } catch {
+    return null;
+  }
+}
+
+// Delete generated outputs whose user preset (first entry of the chain) is gone.
+function removeOrphanedOutputs(profileRoot, baseOutDir, dryRun) {
+  let removed = 0;
+  if (!isDir(baseOutDir)) return removed;
+  for (const name of fs.readdirSync(baseOutDir)) {
+    if (!name.toLowerCase().endsWith(".json")) continue;
+    const outPath = path.join(baseOutDir, name);
+    const meta = readExpandedMeta(outPath);
+    const source = meta ? meta.chain[0] : null;
+    if (!source || isFile(path.join(profileRoot, source))) continue;
+
+    if (dryRun) {
+      removed++;
+      console.log(`[base-fix] WOULD REMOVE (source preset deleted): ${name}`);
+      continue;
+    }
+    try {
+      fs.unlinkSync(outPath);
+      fs.rmSync(sourcesPath(outPath), { force: true });
+      removed++;
+      console.log(`[base-fix] REMOVED (source preset deleted): ${name}`);
+    } catch (e) {
+      console.log(`[base-fix] WARN: Could not remove ${name}: ${e.message}`);
+    }
+  }
+  return removed;
+}
+
+// Path relative to the profile tree, with "/" on every OS.
+function treePath(profileRoot, p) {
+  return path.relative(profileRoot, p).split(path.sep).join("/");
+}
+
 function countKeys(obj) {
   return obj ? Object.keys(obj).length : 0;
 }
 
-// --- Main per-version processing ---
-function processCrealityVersion(version) {
-  const versionRoot = path.join(CREALITY_ROOT, version);
-  const userFilamentDir = path.join(versionRoot, "user", USERID, "filament");
-  const baseOutDir = path.join(userFilamentDir, "base");
-  const systemRoot = path.join(versionRoot, "system");
+// --- Main per-profile-tree processing ---
+// `profileRoot` holds user/ and system/: a Creality Print version folder or the
+// OrcaSlicer folder itself. `outDir` replaces its filament/base folder as the
+// output (see stagePresets).
+function processProfileTree(profileRoot, label, opts, outDir = null) {
+  const userFilamentDir = path.join(profileRoot, "user", USERID, "filament");
+  const baseOutDir = outDir || path.join(userFilamentDir, "base");
+  const systemRoot = path.join(profileRoot, "system");
 
-  console.log(`[base-fix] Using Creality Print version: ${version}`);
+  console.log(`[base-fix] Using ${label}`);
   console.log(`[base-fix] Source filament dir: ${userFilamentDir}`);
-  console.log(`[base-fix] Output base dir: ${baseOutDir}`);
+  console.log(`[base-fix] Output base dir: ${baseOutDir}${outDir ? " (dry run: a copy of filament/base)" : ""}`);
   console.log(`[base-fix] System dir: ${systemRoot}`);
 
   if (!isDir(userFilamentDir)) {
     console.log(
       `[base-fix] SKIP: filament directory not found for USERID=${USERID}\n`
     );
-    return { built: 0, skipped: 0, warnings: 0 };
+    return { built: 0, skipped: 0, warnings: 0, upToDate: 0, removed: 0 };
   }
   if (!isDir(systemRoot)) {
     console.log(`[base-fix] SKIP: system directory not found\n`);
-    return { built: 0, skipped: 0, warnings: 0 };
+    return { built: 0, skipped: 0, warnings: 0, upToDate: 0, removed: 0 };
   }
 
-  fs.mkdirSync(baseOutDir, { recursive: true });
+  if (!opts.dryRun) fs.mkdirSync(baseOutDir, { recursive: true });
+  const removed = removeOrphanedOutputs(profileRoot, baseOutDir, opts.dryRun);
 
   const entries = fs.readdirSync(userFilamentDir, { withFileTypes: true });
   const jsonFiles = entries
@@ -222,14 +404,16 @@ function processCrealityVersion(version) {
 
   if (jsonFiles.length === 0) {
     console.log(`[base-fix] No .json presets found in ${userFilamentDir}\n`);
-    return { built: 0, skipped: 0, warnings: 0 };
+    return { built: 0, skipped: 0, warnings: 0, upToDate: 0, removed };
   }
 
   let built = 0;
   let skipped = 0;
   let warnings = 0;
+  let upToDate = 0;
 
   for (const fname of jsonFiles) {
+    if (opts.only && !opts.only.has(fname)) continue;
     const srcPath = path.join(userFilamentDir, fname);
 
     let userPreset;
@@ -242,7 +426,7 @@ function processCrealityVersion(version) {
     }
 
     // Heuristic: "truncated" user presets usually have base_id + inherits and relatively few keys,
-    // and "from" is User.
+    // and "from" is User. OrcaSlicer doesn't always write base_id.
     const fromVal =
       userPreset && typeof userPreset.from === "string"
         ? userPreset.from.trim().toLowerCase()
@@ -253,7 +437,7 @@ function processCrealityVersion(version) {
       typeof userPreset === "object" &&
       fromVal === "user" &&
       typeof userPreset.inherits === "string" &&
-      typeof userPreset.base_id === "string" &&
+      (opts.slicer === "orca" || typeof userPreset.base_id === "string") &&
       countKeys(userPreset) < 120;
 
     if (!looksLikeTruncatedUserPreset) {
@@ -265,69 +449,58 @@ function processCrealityVersion(version) {
     const outName = sanitizeFilename(fname);
     const outPath = path.join(baseOutDir, outName);
 
-    if (isFile(outPath) && !FORCE) {
-      console.log(`[base-fix] SKIP (exists): ${outName}`);
+    const baseName = userPreset.inherits.trim();
+    const resolved = resolveInheritanceChain(baseName, systemRoot);
+    if (resolved.error) {
+      console.log(`[base-fix] SKIP (${resolved.error}): ${outName}`);
       skipped++;
       continue;
     }
 
-    const baseName = userPreset.inherits.trim();
-    const basePath = findSystemPresetPathByName(baseName, systemRoot);
-    if (!basePath) {
-      console.log(
-        `[base-fix] SKIP (missing base preset "${baseName}"): ${outName}`
-      );
-      skipped++;
-      continue;
+    // Merge from the top of the chain down: fdm_filament_common -> ... -> system preset -> user.
+    // Normalize formats so we end up with the "array-of-strings" style that Filament-Sync expects.
+    const levels = resolved.chain
+      .slice()
+      .reverse()
+      .concat([{ name: userPreset.name, path: srcPath, preset: userPreset }]);
+
+    // Rebuild only when the user preset or anything it inherits from changed.
+    const hash = hashInputs(profileRoot, levels);
+    if (isFile(outPath) && !opts.force) {
+      const existing = readExpandedMeta(outPath);
+      if (!existing) {
+        console.log(`[base-fix] SKIP (exists, not generated by this script; use --force): ${outName}`);
+        skipped++;
+        continue;
+      }
+      if (existing.hash === hash) {
+        upToDate++;
+        continue;
+      }
     }
 
-    let basePreset;
-    try {
-      basePreset = readJson(basePath);
-    } catch (e) {
-      console.log(`[base-fix] SKIP (bad base JSON "${baseName}"): ${outName}`);
-      skipped++;
-      continue;
+    for (const w of resolved.warnings) {
+      console.log(`[base-fix] WARN: ${w} (continuing with ${resolved.chain.length} level(s))`);
+      warnings++;
     }
 
-    // Root template (often fdm_filament_petg / pla / abs etc)
-    const rootName =
-      basePreset && typeof basePreset.inherits === "string"
-        ? basePreset.inherits.trim()
-        : null;
-
-    let rootPreset = {};
-    if (rootName) {
-      const rootPath = findSystemPresetPathByName(rootName, systemRoot);
-      if (!rootPath) {
-        console.log(
-          `[base-fix] WARN: Could not find root template "${rootName}" (continuing with base only)`
-        );
-        warnings++;
-      } else {
-        try {
-          rootPreset = readJson(rootPath);
-        } catch (e) {
-          console.log(
-            `[base-fix] WARN: Root template "${rootName}" is not valid JSON (continuing with base only)`
-          );
-          warnings++;
-          rootPreset = {};
-        }
+    const merged = {};
+    const sources = {};
+    for (const level of levels) {
+      const rel = treePath(profileRoot, level.path);
+      for (const [k, v] of Object.entries(normalizePresetValues(level.preset))) {
+        merged[k] = v;
+        sources[k] = rel;
       }
     }
 
-    // Normalize formats so we end up with the "array-of-strings" style that Filament-Sync expects.
-    const rootN = normalizePresetValues(rootPreset);
-    const baseN = normalizePresetValues(basePreset);
-    const userN = normalizePresetValues(userPreset);
-
-    // Merge order: root -> base -> user overrides
-    const merged = Object.assign({}, rootN, baseN, userN);
-
-    // Strongly suggest the "inherits" points to the root template after expansion.
+    // Strongly suggest the "inherits" points to the root template after expansion
+    // (the system preset's own parent, e.g. fdm_filament_pla).
     // This is closer to what Creality Print tends to do for full presets.
-    if (rootName) merged.inherits = rootName;
+    if (resolved.chain.length > 1) {
+      merged.inherits = resolved.chain[1].name;
+      sources.inherits = treePath(profileRoot, resolved.chain[0].path);
+    }
 
     // Ensure the preset has a name (prefer user preset name; else filename stem)
     if (!merged.name || typeof merged.name !== "string") {
@@ -343,9 +516,20 @@ function processCrealityVersion(version) {
       warnings++;
     }
 
+    // Audit trail: the files merged (nearest first), as paths relative to the profile tree.
+    // Which one each key came from goes to the .sources file.
+    merged[HASH_KEY] = hash;
+    merged[CHAIN_KEY] = levels.map((l) => treePath(profileRoot, l.path)).reverse().join(";");
+
     // Write
+    if (opts.dryRun) {
+      built++;
+      console.log(`[base-fix] WOULD WRITE: ${outName}  (${finalKeyCount} keys)`);
+      continue;
+    }
     try {
       fs.writeFileSync(outPath, JSON.stringify(merged, null, 2), "utf8");
+      fs.writeFileSync(sourcesPath(outPath), JSON.stringify(sources, null, 2), "utf8");
       built++;
       console.log(`[base-fix] WROTE: ${outName}  (${finalKeyCount} keys)`);
     } catch (e) {
@@ -356,51 +540,131 @@ function processCrealityVersion(version) {
   }
 
   console.log(
-    `[base-fix] Done for ${version}. Built ${built} base presets; skipped ${skipped}; warnings ${warnings}.\n`
+    `[base-fix] Done for ${label}. Built ${built} base presets; up to date ${upToDate}; removed ${removed}; skipped ${skipped}; warnings ${warnings}.\n`
   );
-  return { built, skipped, warnings };
+  return { built, skipped, warnings, upToDate, removed };
 }
 
-// --- Entry point ---
-const versions = sortVersionsPrefer60First(listVersionDirs());
+// --- Profile trees ---
+function crealityTrees(opts) {
+  const versions = sortVersionsPrefer60First(listVersionDirs(opts.slicerRoot));
 
-if (versions.length === 0) {
-  console.error(
-    `[base-fix] ERROR: No Creality Print versions found under: ${CREALITY_ROOT}`
-  );
-  console.error(
-    `[base-fix] Expected something like: ...\\Creality Print\\6.0\\user\\${USERID}\\filament`
-  );
-  process.exit(1);
-}
+  if (versions.length === 0) {
+    throw new Error(
+      `No Creality Print versions found under: ${opts.slicerRoot}\n` +
+        `Expected something like: ${path.join(opts.slicerRoot, "6.0", "user", USERID, "filament")}` +
+        (opts.rootOverride ? "" : "\nUse --root <dir> to point at a different Creality Print folder.")
+    );
+  }
 
-let totalBuilt = 0;
-let totalSkipped = 0;
-let totalWarnings = 0;
+  return versions.map((v) => ({
+    dir: path.join(opts.slicerRoot, v),
+    label: `Creality Print version: ${v}`,
+  }));
+}
 
-for (const v of versions) {
-  const res = processCrealityVersion(v);
-  totalBuilt += res.built;
-  totalSkipped += res.skipped;
-  totalWarnings += res.warnings;
+function orcaTrees(opts) {
+  if (!isDir(opts.slicerRoot)) {
+    throw new Error(
+      `OrcaSlicer folder not found: ${opts.slicerRoot}` +
+        (opts.rootOverride ? "" : "\nUse --root <dir> to point at a different OrcaSlicer folder.")
+    );
+  }
+  return [{ dir: opts.slicerRoot, label: "OrcaSlicer" }];
 }
 
-console.log(
-  `[base-fix] ALL DONE. Total built: ${totalBuilt}; total skipped: ${totalSkipped}; total warnings: ${totalWarnings}.`
-);
+/**
+ * Expand the truncated user presets of every profile tree (see resolveOptions for
+ * the options). Returns the totals { built, skipped, warnings, upToDate, removed };
+ * throws when the slicer folder can't be found.
+ */
+function expandPresets(options = {}) {
+  const opts = resolveOptions(options);
+  const trees = opts.slicer === "orca" ? orcaTrees(opts) : crealityTrees(opts);
+
+  const totals = { built: 0, skipped: 0, warnings: 0, upToDate: 0, removed: 0 };
+  for (const t of trees) {
+    const res = processProfileTree(t.dir, t.label, opts);
+    for (const k of Object.keys(totals)) totals[k] += res[k];
+  }
 
-if (totalBuilt === 0) {
   console.log(
-    `[base-fix] NOTE: If you expected output, double-check:\n` +
-      `  1) USERID in user-config.js is correct (${USERID})\n` +
-      `  2) Your custom presets exist under Creality Print 6.0: ${path.join(
-        CREALITY_ROOT,
-        "6.0",
-        "user",
-        USERID,
-        "filament"
-      )}\n` +
-      `  3) The presets are "truncated" (short) and include base_id + inherits.\n` +
-      `  4) Re-run with --force if you already created base files and want to overwrite them.`
+    `[base-fix] ALL DONE. Total built: ${totals.built}; up to date: ${totals.upToDate}; removed: ${totals.removed}; total skipped: ${totals.skipped}; total warnings: ${totals.warnings}.`
   );
-}
\ No newline at end of file
+  return { ...totals, slicer: opts.slicer, slicerRoot: opts.slicerRoot };
+}
+
+/**
+ * A dry run that a sync can build from: each profile tree's filament/base is
+ * copied under a temp folder and expanded there (orphans removed and all), so
+ * the real folders are left alone but the build still sees deleted and changed
+ * presets. Takes the expandPresets options (dryRun is implied).
+ *
+ * Returns { staged, cleanup }: staged maps each real base folder (resolved) to
+ * its expanded copy; cleanup() deletes the temp folder.
+ */
+function stagePresets(options = {}) {
+  const opts = resolveOptions({ ...options, dryRun: false });
+  const trees = opts.slicer === "orca" ? orcaTrees(opts) : crealityTrees(opts);
+
+  const stageRoot = fs.mkdtempSync(path.join(os.tmpdir(), "filament-sync-"));
+  const cleanup = () => fs.rmSync(stageRoot, { recursive: true, force: true });
+  const staged = new Map();
+  try {
+    trees.forEach((t, i) => {
+      const baseDir = path.join(t.dir, "user", USERID, "filament", "base");
+      const outDir = path.join(stageRoot, String(i));
+      if (isDir(baseDir)) fs.cpSync(baseDir, outDir, { recursive: true });
+      processProfileTree(t.dir, t.label, opts, outDir);
+      staged.set(path.resolve(baseDir), outDir);
+    });
+  } catch (e) {
+    cleanup();
+    throw e;
+  }
+  return { staged, cleanup };
+}
+
+// --- Entry point ---
+function main() {
+  const argv = process.argv.slice(2);
+
+  // --root <dir> / --slicer <name> (or --root=<dir> / --slicer=<name>)
+  function readFlagValue(name) {
+    const i = argv.indexOf(name);
+    if (i >= 0 && argv[i + 1] && !argv[i + 1].startsWith("--")) return argv[i + 1];
+    const eq = argv.find((a) => a.startsWith(`${name}=`));
+    return eq ? eq.slice(name.length + 1) : null;
+  }
+
+  let totals;
+  try {
+    totals = expandPresets({
+      force: argv.includes("--force"),
+      root: readFlagValue("--root"),
+      slicer: readFlagValue("--slicer") || SLICER,
+      dryRun: argv.includes("--dry-run"),
+    });
+  } catch (e) {
+    for (const line of String(e.message).split("\n")) console.error(`[base-fix] ERROR: ${line}`);
+    process.exit(1);
+  }
+
+  if (totals.built === 0 && totals.upToDate === 0) {
+    const userDir =
+      totals.slicer === "orca"
+        ? path.join(totals.slicerRoot, "user", USERID, "filament")
+        : path.join(totals.slicerRoot, "6.0", "user", USERID, "filament");
+    console.log(
+      `[base-fix] NOTE: If you expected output, double-check:\n` +
+        `  1) USERID in user-config.js is correct (${USERID})\n` +
+        `  2) Your custom presets exist under: ${userDir}\n` +
+        `  3) The presets are "truncated" (short) and include ${totals.slicer === "orca" ? "" : "base_id + "}inherits.\n` +
+        `  4) Re-run with --force to overwrite base files this script didn't create.`
+    );
+  }
+}
+
+if (require.main === module) main();
+
+module.exports = { expandPresets, stagePresets };
\ No newline at end of file
@@ -1,21 +1,22 @@
-const { initData, readProfiles } = require('./tools/config.js');
-const database = require('./tools/database-tool.js');
-const options = require('./tools/options-tool.js');
-const sendToPrinter = require('./tools/scp.js');
+const { syncPrinters } = require('./tools/sync.js');
+const { parsePrinterArgs } = require('./tools/printers.js');
+
+// --dry-run (or FILAMENT_SYNC_DRY_RUN=1): build against the printer baseline,
+// print what would change, and stop before uploading anything.
+const argv = process.argv.slice(2);
+const DRY_RUN =
+  argv.includes('--dry-run') ||
+  process.env.FILAMENT_SYNC_DRY_RUN === '1' ||
+  process.env.FILAMENT_SYNC_DRY_RUN === 'true';
+const JSON_OUTPUT = argv.includes('--json');
+
+// --printer <name> (repeatable or comma-separated) limits the run to those PRINTERS entries.
+const printerArgs = parsePrinterArgs(argv);
 
 // Entrypoint
 (async () => {
   try {
-    initData();
-
-    const profiles = readProfiles();
-
-    // Build the two files Creality actually consumes
-    await options.addToOptions(profiles);
-    await database.addToDatabase(profiles);
-
-    // Upload to printer (Creality Hi: no SFTP server, so we use pure SSH exec + cat)
-    await sendToPrinter();
+    await syncPrinters({ printerArgs, dryRun: DRY_RUN, json: JSON_OUTPUT });
   } catch (err) {
     console.error('\n[Filament-Sync] ERROR:', err?.message || err);
     if (process.env.FILAMENT_SYNC_DEBUG) {
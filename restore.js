@@ -0,0 +1,153 @@
+const readline = require('readline');
+
+const backups = require('./tools/backup-tool.js');
+const diff = require('./tools/diff-tool.js');
+const { selectPrinters, parsePrinterArgs, canConnect } = require('./tools/printers.js');
+const { createSession } = require('./tools/session.js');
+const { assertUploadConfig } = require('./tools/scp.js');
+const { installedPath } = require('./tools/box-write.js');
+
+// Restore a local backup (backups/<stamp>/) to the printer.
+//
+//   node restore.js                      list backups
+//   node restore.js <stamp|latest>       diff against the printer, confirm, upload
+//   node restore.js latest --dry-run     only show the diff
+//   node restore.js latest --yes         skip the confirmation prompt
+//   node restore.js --prune              apply BACKUP_KEEP / BACKUP_MAX_AGE_DAYS now
+//   add --printer <NAME> when PRINTERS is configured
+
+const formatDate = (d) => d.toLocaleString();
+
+const printBackups = (printer, list) => {
+  console.log(`\n[Filament-Sync] Backups for ${printer.name}:`);
+  if (!list.length) {
+    console.log('  (none)');
+    return;
+  }
+  for (const b of list) {
+    const count = b.filamentCount === null ? '?' : b.filamentCount;
+    console.log(`  ${b.stamp}  ${formatDate(b.date)}  ${count} filament(s)  [${b.files.join(', ')}]`);
+  }
+};
+
+const parseJsonOrNull = (buf) => {
+  try {
+    return JSON.parse(buf.toString('utf8'));
+  } catch {
+    return null;
+  }
+};
+
+const readRemoteJson = async (session, remotePath) => {
+  try {
+    return JSON.parse(await session.readRemoteFile(remotePath));
+  } catch {
+    return null;
+  }
+};
+
+const confirm = async (question) => {
+  if (!process.stdin.isTTY) return false;
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const answer = await new Promise((resolve) => rl.question(question, resolve));
+  rl.close();
+  return /^y(es)?$/i.test(String(answer).trim());
+};
+
+const restorePrinter = async (printer, { stamp, dryRun, yes }) => {
+  const backup = backups.findBackup(printer, stamp);
+  if (!backup) {
+    printBackups(printer, backups.listBackups(printer));
+    throw new Error(`No backup "${stamp}" for ${printer.name}.`);
+  }
+
+  assertUploadConfig(printer);
+  if (!canConnect(printer)) throw new Error(`Cannot connect to ${printer.name}: missing host or credentials.`);
+
+  const session = createSession(printer);
+  try {
+    const files = backups.loadBackupFiles(backup);
+    const snapshotDb = files['material_database.json'] ? parseJsonOrNull(files['material_database.json']) : null;
+    const snapshotOpt = files['material_option.json'] ? parseJsonOrNull(files['material_option.json']) : null;
+
+    const currentDb = await readRemoteJson(session, installedPath(printer, 'material_database.json'));
+    const currentOpt = await readRemoteJson(session, installedPath(printer, 'material_option.json'));
+
+    console.log(
+      `\n[Filament-Sync] Restoring ${printer.name} to ${backup.stamp} (${formatDate(backup.date)}). Changes vs printer now:`
+    );
+    diff.printDiff({
+      database: snapshotDb ? diff.diffDatabase(currentDb, snapshotDb) : { added: [], updated: [], removed: [] },
+      options: snapshotOpt ? diff.diffOptions(currentOpt, snapshotOpt) : [],
+    });
+
+    if (dryRun) {
+      console.log('\n[Filament-Sync] Dry run: nothing was uploaded to the printer.');
+      return;
+    }
+
+    if (!yes && !(await confirm(`Upload ${backup.files.join(', ')} to ${printer.remoteDir}${printer.directWrite ? ` and ${printer.boxDir}` : ''}? [y/N] `))) {
+      console.log('[Filament-Sync] Restore cancelled (pass --yes to skip this prompt).');
+      return;
+    }
+
+    const res = await backups.restoreBackup(printer, backup, { session });
+    console.log(`[Filament-Sync] Restored ${res.restored.join(', ')} from ${backup.stamp}.`);
+    if (res.safety) console.log(`[Filament-Sync] Previous printer files saved as backup ${res.safety.stamp}.`);
+  } finally {
+    session.close();
+  }
+};
+
+/**
+ * stamp     - backup to restore ("latest" or a stamp); none lists the backups
+ * dryRun    - only show the diff
+ * yes       - skip the confirmation prompt
+ * prune     - apply BACKUP_KEEP / BACKUP_MAX_AGE_DAYS instead of restoring
+ */
+const restoreCommand = async ({ stamp = null, printerArgs = [], dryRun = false, yes = false, prune = false } = {}) => {
+  const printers = selectPrinters(printerArgs);
+
+  if (prune) {
+    for (const printer of printers) {
+      const removed = backups.pruneBackups(printer);
+      console.log(`[Filament-Sync] ${printer.name}: pruned ${removed.length} backup(s).`);
+    }
+    return;
+  }
+
+  if (!stamp) {
+    for (const printer of printers) printBackups(printer, backups.listBackups(printer));
+    console.log('\nRun: node restore.js <stamp|latest> [--dry-run] [--yes]');
+    return;
+  }
+
+  if (printers.length > 1) {
+    throw new Error('Several printers are configured; pick one with --printer <NAME>.');
+  }
+  await restorePrinter(printers[0], { stamp, dryRun, yes });
+};
+
+module.exports = { restoreCommand };
+
+// Entrypoint
+if (require.main === module) {
+  const argv = process.argv.slice(2);
+  const positional = argv.filter(
+    (a, i) => !a.startsWith('-') && argv[i - 1] !== '--printer'
+  );
+
+  restoreCommand({
+    stamp: positional[0],
+    printerArgs: parsePrinterArgs(argv),
+    dryRun: argv.includes('--dry-run'),
+    yes: argv.includes('--yes') || argv.includes('-y'),
+    prune: argv.includes('--prune'),
+  }).catch((err) => {
+    console.error('\n[Filament-Sync] ERROR:', err?.message || err);
+    if (process.env.FILAMENT_SYNC_DEBUG) {
+      console.error(err);
+    }
+    process.exit(1);
+  });
+}
@@ -0,0 +1,204 @@
+const fs = require('fs');
+const path = require('path');
+
+const cfg = require('./settings');
+const { MANIFEST_NAME } = require('./manifest');
+const { getBackupDir } = require('./printers');
+const { withSession } = require('./session');
+const { DEBUG, dlog } = require('./ssh-util');
+const { installedPath, writeBoxFiles } = require('./box-write');
+
+// Local snapshots of the files in REMOTE_SYNC_DIR (REMOTE_BOX_DIR for the two
+// printer files with DIRECT_WRITE), taken before every upload:
+//   backups/[<printer>/]<YYYYMMDD_HHMMSS>/<file>
+// Retention: BACKUP_KEEP newest snapshots (default 20) and, optionally,
+// nothing older than BACKUP_MAX_AGE_DAYS. Set either to 0 to disable it.
+
+const DEFAULT_KEEP = 20;
+const STAMP_RE = /^(\d{4})(\d{2})(\d{2})_(\d{2})(\d{2})(\d{2})$/;
+
+const nowStamp = () => {
+  const d = new Date();
+  const pad = (n) => String(n).padStart(2, '0');
+  return (
+    d.getFullYear() +
+    pad(d.getMonth() + 1) +
+    pad(d.getDate()) +
+    '_' +
+    pad(d.getHours()) +
+    pad(d.getMinutes()) +
+    pad(d.getSeconds())
+  );
+};
+
+const parseStamp = (stamp) => {
+  const m = String(stamp).match(STAMP_RE);
+  if (!m) return null;
+  const [, y, mo, d, h, mi, s] = m.map(Number);
+  return new Date(y, mo - 1, d, h, mi, s);
+};
+
+const ensureLocalDir = (dir) => {
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+};
+
+const backupsEnabled = () =>
+  process.env.FILAMENT_SYNC_BACKUP !== '0' &&
+  process.env.FILAMENT_SYNC_BACKUP !== 'false';
+
+const getRetention = () => ({
+  keep: Number(cfg.BACKUP_KEEP ?? DEFAULT_KEEP) || 0,
+  maxAgeDays: Number(cfg.BACKUP_MAX_AGE_DAYS ?? 0) || 0,
+});
+
+const readJsonSafe = (p) => {
+  try {
+    return JSON.parse(fs.readFileSync(p, 'utf8'));
+  } catch {
+    return null;
+  }
+};
+
+const describeBackup = (dir, stamp) => {
+  const files = fs.existsSync(dir)
+    ? fs.readdirSync(dir).filter((f) => f.toLowerCase().endsWith('.json'))
+    : [];
+  const db = files.includes('material_database.json')
+    ? readJsonSafe(path.join(dir, 'material_database.json'))
+    : null;
+  const list = db?.result?.list;
+  return {
+    stamp,
+    dir,
+    date: parseStamp(stamp) || fs.statSync(dir).mtime,
+    files,
+    filamentCount: Array.isArray(list) ? list.length : null,
+    dbVersion: db?.result?.version ?? null,
+  };
+};
+
+// Newest first.
+const listBackups = (printer) => {
+  const root = getBackupDir(printer);
+  if (!fs.existsSync(root)) return [];
+  return fs
+    .readdirSync(root, { withFileTypes: true })
+    .filter((e) => e.isDirectory() && STAMP_RE.test(e.name))
+    .map((e) => describeBackup(path.join(root, e.name), e.name))
+    .sort((a, b) => b.stamp.localeCompare(a.stamp));
+};
+
+const findBackup = (printer, stamp) => {
+  const backups = listBackups(printer);
+  if (!backups.length) return null;
+  if (!stamp || stamp === 'latest') return backups[0];
+  return backups.find((b) => b.stamp === stamp) || null;
+};
+
+const pruneBackups = (printer, { keep, maxAgeDays } = getRetention()) => {
+  const backups = listBackups(printer);
+  const cutoff = maxAgeDays > 0 ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : null;
+
+  const removed = [];
+  backups.forEach((b, i) => {
+    const tooMany = keep > 0 && i >= keep;
+    const tooOld = cutoff !== null && b.date.getTime() < cutoff;
+    if (!tooMany && !tooOld) return;
+    fs.rmSync(b.dir, { recursive: true, force: true });
+    removed.push(b);
+  });
+
+  if (removed.length) dlog(`backup: pruned ${removed.length} old snapshot(s)`);
+  return removed;
+};
+
+/**
+ * Save local copies of remote files before they are overwritten. `filenames`
+ * are names in `remoteDir` or absolute remote paths (saved under their name).
+ * Returns the snapshot (see listBackups) or null when nothing was saved.
+ */
+const backupRemoteFiles = async (session, remoteDir, filenames, printer) => {
+  if (!backupsEnabled()) return null;
+
+  const stamp = nowStamp();
+  const outDir = path.join(getBackupDir(printer), stamp);
+  ensureLocalDir(outDir);
+
+  let saved = 0;
+  for (const file of filenames) {
+    const remotePath = file.startsWith('/') ? file : `${remoteDir}/${file}`;
+    const name = path.posix.basename(remotePath);
+    try {
+      const content = await session.readRemoteFile(remotePath);
+      const localPath = path.join(outDir, name);
+      fs.writeFileSync(localPath, content, 'utf8');
+      saved += 1;
+      if (DEBUG) dlog(`backup: saved ${remotePath} -> ${localPath}`);
+    } catch (e) {
+      // Remote file may not exist yet; that's fine.
+      if (DEBUG) dlog(`backup: skip ${remotePath} (${e.message.split('\n')[0]})`);
+    }
+  }
+
+  if (!saved) {
+    // First sync to this printer: don't leave an empty snapshot behind
+    fs.rmSync(outDir, { recursive: true, force: true });
+    return null;
+  }
+
+  pruneBackups(printer);
+  return describeBackup(outDir, stamp);
+};
+
+// Same order as uploads: the manifest only claims ids once both files are back.
+const RESTORE_ORDER = ['material_database.json', 'material_option.json', MANIFEST_NAME];
+
+const loadBackupFiles = (backup) => {
+  const out = {};
+  for (const name of RESTORE_ORDER) {
+    const p = path.join(backup.dir, name);
+    if (fs.existsSync(p)) out[name] = fs.readFileSync(p);
+  }
+  return out;
+};
+
+/**
+ * Upload a snapshot back to REMOTE_SYNC_DIR, one atomic write per file (and
+ * into REMOTE_BOX_DIR with DIRECT_WRITE). The current remote files are
+ * snapshotted first, so a restore can itself be undone with another restore.
+ */
+const restoreBackup = async (printer, backup, { session } = {}) => {
+  // Read the snapshot before taking the safety backup: retention could prune it
+  const files = loadBackupFiles(backup);
+  const names = Object.keys(files);
+  if (!names.length) throw new Error(`Backup ${backup.stamp} has no files to restore.`);
+
+  return withSession(printer, session, async (s) => {
+    const safety = await backupRemoteFiles(
+      s,
+      printer.remoteDir,
+      RESTORE_ORDER.map((name) => installedPath(printer, name)),
+      printer
+    );
+
+    for (const name of names) {
+      const remotePath = `${printer.remoteDir}/${name}`;
+      dlog(`restore: ${backup.stamp}/${name} (${files[name].length} bytes) -> ${remotePath}`);
+      await s.writeRemoteFileAtomic(remotePath, files[name]);
+    }
+    if (printer.directWrite) await writeBoxFiles(s, printer, files);
+
+    return { restored: names, safety };
+  });
+};
+
+module.exports = {
+  nowStamp,
+  listBackups,
+  findBackup,
+  pruneBackups,
+  backupRemoteFiles,
+  loadBackupFiles,
+  restoreBackup,
+  getRetention,
+};
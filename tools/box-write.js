@@ -0,0 +1,76 @@
+const { dlog, shellQuote } = require('./ssh-util');
+
+// Direct-write mode (DIRECT_WRITE: true): install material_database.json and
+// material_option.json straight into REMOTE_BOX_DIR instead of relying on the
+// printer-side service to copy them over from REMOTE_SYNC_DIR.
+//
+// Each file is replaced atomically and gets the owner and mode the printer's
+// copy had. The screen app only reads them at startup: UI_RESTART_COMMAND (run
+// on the printer) restarts it. There is no default, as the command differs
+// between firmware versions; without one the new files are only used after
+// the printer is restarted.
+
+const BOX_FILES = ['material_database.json', 'material_option.json'];
+
+const log = (...args) => console.log('[Filament-Sync][box]', ...args);
+
+// Where the printer's current copy of `name` lives for this printer.
+const installedPath = (printer, name) =>
+  printer.directWrite && BOX_FILES.includes(name) ? `${printer.boxDir}/${name}` : `${printer.remoteDir}/${name}`;
+
+// "uid:gid mode" of a remote file, or null when it doesn't exist.
+const statOwner = async (session, remotePath) => {
+  const res = await session.exec(`stat -c '%u:%g %a' ${shellQuote(remotePath)} 2>/dev/null`);
+  const m = /^(\d+:\d+) ([0-7]{3,4})$/.exec(res.stdout.trim());
+  return res.code === 0 && m ? { owner: m[1], mode: m[2] } : null;
+};
+
+/**
+ * Atomically write `files` ({ name: content }) into the printer's box folder,
+ * keeping each file's owner and mode, then run UI_RESTART_COMMAND unless
+ * `restart` is false (the caller restarts once it has verified the files).
+ * Returns the remote paths written.
+ */
+const writeBoxFiles = async (session, printer, files, { restart = true } = {}) => {
+  const written = [];
+  for (const name of BOX_FILES) {
+    if (files[name] === undefined) continue;
+    const remotePath = `${printer.boxDir}/${name}`;
+    const before = await statOwner(session, remotePath);
+
+    dlog(`box: writing ${name} (${files[name].length} bytes) -> ${remotePath}`);
+    await session.writeRemoteFileAtomic(remotePath, files[name]);
+
+    if (before) {
+      const q = shellQuote;
+      const res = await session.exec(`chown ${before.owner} ${q(remotePath)} && chmod ${before.mode} ${q(remotePath)}`);
+      if (res.code !== 0) {
+        log(`WARN: couldn't restore owner ${before.owner} / mode ${before.mode} of ${remotePath}: ${(res.stderr || res.stdout).trim()}`);
+      }
+    }
+    written.push(remotePath);
+  }
+
+  if (written.length && restart) await restartUi(session, printer);
+  return written;
+};
+
+const restartUi = async (session, printer) => {
+  if (!printer.uiRestartCommand) {
+    log(
+      `WARN: ${printer.name}: the printer keeps using its old filament list until it is restarted ` +
+        '(set UI_RESTART_COMMAND to restart its screen app after each upload).'
+    );
+    return;
+  }
+  dlog(`box: ${printer.uiRestartCommand}`);
+  const res = await session.exec(printer.uiRestartCommand);
+  if (res.code !== 0) {
+    // The files are already in place; a failed restart only delays loading them
+    log(`WARN: UI_RESTART_COMMAND exited with ${res.code}: ${(res.stderr || res.stdout).trim()}`);
+  } else {
+    log(`${printer.name}: ran UI_RESTART_COMMAND.`);
+  }
+};
+
+module.exports = { BOX_FILES, installedPath, writeBoxFiles, restartUi };
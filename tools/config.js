@@ -1,16 +1,21 @@
 const fs = require('fs');
-const os = require('os');
 const path = require('path');
 
 // NOTE: This fork intentionally avoids importing ./scp.js here.
 // Some printers (e.g. Creality Hi) don't expose SFTP, so upload settings
 // should only be validated when we actually upload.
 
-const { SLICER, USERID } = require('../user-config');
+const { SLICER, USERID } = require('./settings');
+const { validateProfiles, printReport, loadOemEntries } = require('./validate-tool');
+const { loadRegistry, saveRegistry, getIdentity, createAllocator } = require('./id-registry');
+const { getOSInfo, getFilamentRootDir, listFilamentRootDirs } = require('./slicer-paths');
 
 let loadedProfiles = [];
 let filteredProfiles = [];
 
+// profile object -> preset file it was read from (for validation messages)
+let profileSources = new WeakMap();
+
 // Optional debug logging: set FILAMENT_SYNC_DEBUG=1
 const DEBUG =
   process.env.FILAMENT_SYNC_DEBUG === '1' ||
@@ -20,13 +25,6 @@ const dlog = (...args) => {
   if (DEBUG) console.log('[Filament-Sync]', ...args);
 };
 
-const getOSInfo = () => {
-  return {
-    osType: os.type(),
-    homeDir: os.userInfo().homedir,
-  };
-};
-
 const isDir = (p) => {
   try {
     return fs.statSync(p).isDirectory();
@@ -66,7 +64,9 @@ const readProfilesFromDir = (dir) => {
   for (const filename of files) {
     const fullPath = path.join(dir, filename);
     const raw = fs.readFileSync(fullPath, 'utf8');
-    profiles.push(JSON.parse(raw));
+    const profile = JSON.parse(raw);
+    profileSources.set(profile, fullPath);
+    profiles.push(profile);
   }
   return profiles;
 };
@@ -88,105 +88,6 @@ const checkCrealityFormatting = (profiles) => {
   return profiles.map((p) => wrapScalarsAsArrays(p));
 };
 
-// Try "6.0" first (as documented), otherwise pick highest numeric version folder if present.
-const pickCrealityVersionDir = (crealityPrintBaseDir) => {
-  const preferred = path.join(crealityPrintBaseDir, '6.0');
-  if (isDir(preferred)) return preferred;
-
-  if (!isDir(crealityPrintBaseDir)) return null;
-
-  const entries = fs
-    .readdirSync(crealityPrintBaseDir, { withFileTypes: true })
-    .filter((e) => e.isDirectory())
-    .map((e) => e.name);
-
-  const versionDirs = entries.filter((n) => /^\d+(\.\d+)*$/.test(n));
-  if (!versionDirs.length) return null;
-
-  // Sort descending by numeric components
-  versionDirs.sort((a, b) => {
-    const pa = a.split('.').map(Number);
-    const pb = b.split('.').map(Number);
-    const len = Math.max(pa.length, pb.length);
-    for (let i = 0; i < len; i++) {
-      const da = pa[i] || 0;
-      const db = pb[i] || 0;
-      if (da !== db) return db - da;
-    }
-    return 0;
-  });
-
-  return path.join(crealityPrintBaseDir, versionDirs[0]);
-};
-
-const getFilamentRootDir = ({ osType, homeDir, slicer, userId }) => {
-  if (slicer !== 'orca' && slicer !== 'creality') {
-    throw new Error(
-      `Invalid SLICER value: "${slicer}". Expected "orca" or "creality".`
-    );
-  }
-
-  if (osType === 'Windows_NT') {
-    if (slicer === 'orca') {
-      return path.join(
-        homeDir,
-        'AppData',
-        'Roaming',
-        'OrcaSlicer',
-        'user',
-        userId,
-        'filament'
-      );
-    }
-    const base = path.join(
-      homeDir,
-      'AppData',
-      'Roaming',
-      'Creality',
-      'Creality Print'
-    );
-    const verDir = pickCrealityVersionDir(base);
-    if (!verDir) return null;
-    return path.join(verDir, 'user', userId, 'filament');
-  }
-
-  if (osType === 'Darwin') {
-    if (slicer === 'orca') {
-      return path.join(
-        homeDir,
-        'Library',
-        'Application Support',
-        'OrcaSlicer',
-        'user',
-        userId,
-        'filament'
-      );
-    }
-    const base = path.join(
-      homeDir,
-      'Library',
-      'Application Support',
-      'Creality',
-      'Creality Print'
-    );
-    const verDir = pickCrealityVersionDir(base);
-    if (!verDir) return null;
-    return path.join(verDir, 'user', userId, 'filament');
-  }
-
-  if (osType === 'Linux') {
-    if (slicer === 'orca') {
-      return path.join(homeDir, '.config', 'OrcaSlicer', 'user', userId, 'filament');
-    }
-    const base = path.join(homeDir, '.config', 'Creality', 'Creality Print');
-    const verDir = pickCrealityVersionDir(base);
-    if (!verDir) return null;
-    return path.join(verDir, 'user', userId, 'filament');
-  }
-
-  throw new Error(`Unsupported OS type: ${osType}`);
-};
-
 // Notes are required upstream; this fork can auto-generate notes if missing.
 const getNotesString = (profile) => {
   const notes = profile?.filament_notes;
@@ -202,19 +103,6 @@ const notesLooksEmpty = (notesStr) => {
 
 const safeFirst = (v) => (Array.isArray(v) ? v[0] : v);
 
-// Create a stable-ish 5-digit numeric ID from a string (FNV-1a -> mod).
-const stableFiveDigitId = (s) => {
-  const str = String(s ?? '');
-  let h = 0x811c9dc5;
-  for (let i = 0; i < str.length; i++) {
-    h ^= str.charCodeAt(i);
-    h = Math.imul(h, 0x01000193);
-  }
-  // 10000..99999
-  const id = (Math.abs(h) % 90000) + 10000;
-  return String(id);
-};
-
 const deriveTypeFromInherits = (inherits) => {
   const s = String(inherits ?? '').toLowerCase();
   const m = s.match(/fdm_filament_([a-z0-9_]+)/);
@@ -222,24 +110,35 @@ const deriveTypeFromInherits = (inherits) => {
   return m[1].toUpperCase();
 };
 
-const autoGenerateNotes = (profile) => {
+// The id comes from id-registry.json, so it survives renames and never
+// collides with OEM ids or other presets.
+const autoGenerateNotes = (profile, allocator, identity) => {
   const name = safeFirst(profile?.name) || 'Custom Filament';
   const vendor = safeFirst(profile?.filament_vendor) || 'Custom';
   const type = safeFirst(profile?.filament_type) || deriveTypeFromInherits(safeFirst(profile?.inherits)) || 'CUSTOM';
-  const id = stableFiveDigitId(`${vendor}|${type}|${name}`);
+  const { id, created } = allocator.assign(identity, {
+    vendor,
+    type,
+    name,
+  });
   const notesObj = { id, vendor, type, name };
   const notesStr = JSON.stringify(notesObj);
 
   // Creality formatting typically uses arrays.
   profile.filament_notes = [notesStr];
 
+  if (!created) {
+    dlog(`Auto-generated filament_notes for "${vendor} ${name}" with registered id=${id}.`);
+    return;
+  }
   console.warn(
     `[Filament-Sync] Auto-generated filament_notes for "${vendor} ${name}" with id=${id}. ` +
       'If you use RFID tags, write this ID down.'
   );
 };
 
-const loadCustomProfiles = () => {
+// The slicer's .../user/<USERID>/filament folder for the configured SLICER.
+const getFilamentRoot = () => {
   const { osType, homeDir } = getOSInfo();
   const slicer = String(SLICER || '').toLowerCase();
   const userId = String(USERID || '');
@@ -255,8 +154,27 @@ const loadCustomProfiles = () => {
         `OS: ${osType}\nHOME: ${homeDir}\nUSERID: ${userId}\n`
     );
   }
+  return filamentRoot;
+};
 
-  const customDir = resolveCustomFilamentDir(filamentRoot);
+// Every filament folder of the configured SLICER (one per Creality Print
+// version), with the one the sync reads from first.
+const getFilamentRoots = () => {
+  const { osType, homeDir } = getOSInfo();
+  const slicer = String(SLICER || '').toLowerCase();
+  const main = getFilamentRoot();
+  const others = listFilamentRootDirs({ osType, homeDir, slicer, userId: String(USERID) });
+  return [main, ...others.filter((dir) => path.resolve(dir) !== path.resolve(main))];
+};
+
+// `stagedBaseDirs` (from stagePresets in fix-creality-base-filaments.js) maps a
+// filament/base folder to the dry-run copy to read instead.
+const loadCustomProfiles = (stagedBaseDirs) => {
+  const slicer = String(SLICER || '').toLowerCase();
+  const filamentRoot = getFilamentRoot();
+
+  const staged = stagedBaseDirs?.get(path.resolve(filamentRoot, 'base'));
+  const customDir = staged && isDir(staged) ? staged : resolveCustomFilamentDir(filamentRoot);
   if (!customDir) {
     throw new Error(
       `Filament preset folder not found for ${slicer}.\nTried:\n  ${path.join(
@@ -293,28 +211,69 @@ const describeProfile = (p) => {
   return `[${vendor} ${name}]`;
 };
 
-const filterProfiles = () => {
+const filterProfiles = (oemEntries, printers, { dryRun = false } = {}) => {
   filteredProfiles = [];
 
   if (!Array.isArray(loadedProfiles) || loadedProfiles.length === 0) {
-    console.error('No profiles found in the selected custom profile directory.');
-    process.exit(1);
+    throw new Error('No profiles found in the selected custom profile directory.');
   }
 
+  const registry = loadRegistry();
+  // Ids on the printers (stock or not) are never handed out
+  const allocator = createAllocator(registry, { reservedIds: oemEntries.keys() });
+
+  // Two presets with one identity would share (and keep overwriting) one registry entry
+  const identities = new Map(); // profile -> identity
+  const owners = new Map(); // identity -> source
   for (const p of loadedProfiles) {
-    if (hasRequiredNotes(p)) {
-      filteredProfiles.push(p);
-      continue;
+    const source = profileSources.get(p);
+    const identity = getIdentity(p, source);
+    if (owners.has(identity)) {
+      throw new Error(
+        `${owners.get(identity)} and ${source} both resolve to the preset identity "${identity}" ` +
+          'in id-registry.json. Remove the duplicate, or re-save one of them in the slicer so it gets its own setting_id.'
+      );
+    }
+    owners.set(identity, source);
+    identities.set(p, identity);
+  }
+
+  // Record ids set by hand first so auto-generated ones can't take them.
+  for (const p of loadedProfiles) {
+    if (!hasRequiredNotes(p)) continue;
+    const notes = JSON.parse(getNotesString(p));
+    if (/^\d{5}$/.test(String(notes?.id ?? ''))) {
+      allocator.claim(identities.get(p), String(notes.id), notes);
     }
+  }
 
+  for (const p of loadedProfiles) {
     // Try to auto-generate notes if possible.
-    autoGenerateNotes(p);
-    if (hasRequiredNotes(p)) {
+    if (!hasRequiredNotes(p)) autoGenerateNotes(p, allocator, identities.get(p));
+  }
+
+  // A dry run allocates ids for the diff only
+  if (!dryRun) saveRegistry(registry);
+
+  const report = validateProfiles(
+    loadedProfiles.map((p) => ({ profile: p, source: profileSources.get(p) })),
+    { oemEntries, printers }
+  );
+  printReport(report);
+
+  if (report.conflicts) {
+    throw new Error(
+      `Refusing to sync: ${report.conflicts} filament id conflict(s) found (see [validate] output above).`
+    );
+  }
+
+  for (const p of loadedProfiles) {
+    if (!report.invalid.has(p)) {
       filteredProfiles.push(p);
       continue;
     }
 
-    console.error('Ignoring Filament', describeProfile(p), "since it's missing required filament notes.");
+    console.error('Ignoring Filament', describeProfile(p), 'since its filament notes are invalid (see above).');
     console.error('Check the instructions for info on how to add them:');
     console.error('https://github.com/HurricanePrint/Filament-Sync#creating-custom-filament-presets');
   }
@@ -326,19 +285,40 @@ const readProfiles = () => {
   return filteredProfiles;
 };
 
-const initData = () => {
+// `targets` ([{ printer, session }]) are the printers being synced; their
+// databases are read so presets can't take an id one of them already uses.
+// With `dryRun` nothing is written locally.
+const initData = async ({ targets = [], stagedBaseDirs, dryRun = false } = {}) => {
   // Reset state each run
   loadedProfiles = [];
   filteredProfiles = [];
+  profileSources = new WeakMap();
 
   // Ensure ./data exists (other tools write output here)
   const dataDir = path.join(__dirname, '..', 'data');
-  if (!fs.existsSync(dataDir)) {
+  if (!dryRun && !fs.existsSync(dataDir)) {
     fs.mkdirSync(dataDir, { recursive: true });
   }
 
+  loadCustomProfiles(stagedBaseDirs);
+  filterProfiles(await loadOemEntries(targets), targets.map((t) => t.printer), { dryRun });
+};
+
+// Validation only (`filament-sync validate`): reports problems in the presets
+// without generating notes or registering ids. Returns the validateProfiles
+// report plus the number of presets checked.
+const checkProfiles = async ({ targets = [] } = {}) => {
+  loadedProfiles = [];
+  filteredProfiles = [];
+  profileSources = new WeakMap();
+
   loadCustomProfiles();
-  filterProfiles();
+  const report = validateProfiles(
+    loadedProfiles.map((p) => ({ profile: p, source: profileSources.get(p) })),
+    { oemEntries: await loadOemEntries(targets), printers: targets.map((t) => t.printer) }
+  );
+  printReport(report);
+  return { ...report, total: loadedProfiles.length };
 };
 
-module.exports = { initData, readProfiles };
+module.exports = { initData, readProfiles, getFilamentRoot, getFilamentRoots, checkProfiles };
@@ -1,12 +1,11 @@
 const fs = require('fs');
 const path = require('path');
 
-const { PRINTER_DB_PATH, REMOTE_BOX_DIR } = require('../user-config');
-const cfg = require('../user-config');
+const convertToPrinterFormat = require('./jsonhandler');
+const { canConnect, getDataDir } = require('./printers');
 
-const newMaterialTemplate = require('./sourcedata/newMaterial.json');
-
-const { connectSSH, readRemoteFile } = require('./ssh-util');
+const { withSession } = require('./session');
+const { entryTargets, targetKey, entryTargetKey } = require('./targets');
 
 const DEBUG =
   process.env.FILAMENT_SYNC_DEBUG === '1' ||
@@ -17,11 +16,8 @@ const dlog = (...args) => {
   if (DEBUG) log(...args);
 };
 
-const PROJECT_ROOT = path.join(__dirname, '..');
-const DATA_DIR = path.join(PROJECT_ROOT, 'data');
-
-const ensureDataDir = () => {
-  if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
+const ensureDataDir = (dir) => {
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
 };
 
 const unwrapFirst = (v) => (Array.isArray(v) ? v[0] : v);
@@ -45,44 +41,23 @@ const parseNotes = (profile) => {
 
 const nowEpochSeconds = () => String(Math.floor(Date.now() / 1000));
 
-const getPrinterConfig = () => {
-  const host = cfg.PRINTER_IP || cfg.PRINTERIP || cfg.HOST || cfg.HOSTNAME;
-  const port = Number(cfg.PORT || 22);
-  const username = cfg.USER || 'root';
-  const password = cfg.PASSWORD;
-
-  if (!host || !password) return null;
-  return { host, port, username, password };
-};
-
-const resolveRemotePaths = () => {
-  const boxDir = cfg.REMOTE_BOX_DIR || '/mnt/UDISK/creality/userdata/box';
-  const dbPath = cfg.PRINTER_DB_PATH || `${boxDir}/material_database.json`;
-  return { boxDir, dbPath };
-};
-
 const loadJsonFile = (filePath) => {
   const raw = fs.readFileSync(filePath, 'utf8');
   return JSON.parse(raw);
 };
 
-const loadBaseDatabase = async () => {
+const loadBaseDatabase = async (printer, { session } = {}) => {
   // 1) Prefer reading the current DB off the printer (preserves OEM changes)
-  const sshCfg = getPrinterConfig();
-  const { dbPath } = resolveRemotePaths();
-  if (sshCfg) {
+  if (canConnect(printer)) {
+    const { dbPath } = printer;
     try {
-      const conn = await connectSSH(sshCfg);
-      try {
-        const raw = await readRemoteFile(conn, dbPath);
-        const json = JSON.parse(raw);
-        dlog(`Loaded base DB from printer: ${dbPath}`);
-        return json;
-      } finally {
-        conn.end();
-      }
+      const raw = await withSession(printer, session, (s) => s.readRemoteFile(dbPath));
+      const json = JSON.parse(raw);
+      dlog(`Loaded base DB from printer: ${dbPath}`);
+      return json;
     } catch (e) {
-      dlog(`WARN: couldn't read base DB from printer (${e.message.split('\n')[0]}). Falling back.`);
+      const warn = e.code === 'PRINTER_UNREACHABLE' ? log : dlog;
+      warn(`WARN: couldn't read base DB from printer (${e.message.split('\n')[0]}). Falling back.`);
     }
   }
 
@@ -103,51 +78,97 @@ const getList = (dbObj) => {
   return list;
 };
 
-const findById = (list, id) => {
-  return list.findIndex((m) => String(unwrapFirst(m?.id) ?? '') === String(id));
+// Printer entries keep their id under base.id.
+const getEntryId = (m) => String(m?.base?.id ?? '');
+
+// One entry per (printerIntName, nozzle) for each id, like the OEM entries.
+const findEntry = (list, id, key) => {
+  return list.findIndex((m) => getEntryId(m) === String(id) && entryTargetKey(m) === key);
 };
 
-const deepClone = (obj) => JSON.parse(JSON.stringify(obj));
+// Older builds of this tool pushed flat slicer-shaped objects with id: ["12345"].
+// The printer never matched those, so drop them whenever we write the real entry.
+const isLegacyEntry = (m) => m && !m.base && Array.isArray(m.id);
+
+const removeLegacyEntries = (list, id) => {
+  let removed = 0;
+  for (let i = list.length - 1; i >= 0; i--) {
+    if (isLegacyEntry(list[i]) && String(unwrapFirst(list[i].id)) === String(id)) {
+      list.splice(i, 1);
+      removed += 1;
+    }
+  }
+  return removed;
+};
 
-const normalizeToArray = (v) => {
-  if (Array.isArray(v)) return v;
-  if (v === null || v === undefined) return v;
-  // Keep objects as-is (rare in Creality exports)
-  if (typeof v === 'object') return v;
-  return [v];
+const buildMaterialFromProfile = (profile, notesObj, target) => {
+  // Re-serialise the parsed notes so base.id is always the string form of the id.
+  const notes = { ...notesObj, id: String(notesObj.id) };
+  return convertToPrinterFormat(
+    { ...profile, filament_notes: [JSON.stringify(notes)] },
+    { printerIntName: target.printerIntName, nozzleDiameter: target.nozzle }
+  );
 };
 
-const buildMaterialFromProfile = (profile, notesObj) => {
-  const mat = deepClone(newMaterialTemplate);
+// Ids shipped with the printer firmware. These are never pruned, even if a
+// custom preset once reused one of them to override the OEM settings.
+const loadStockIds = () => {
+  const stockPath = path.join(__dirname, 'sourcedata', 'material_database.json');
+  return new Set(getList(loadJsonFile(stockPath)).map(getEntryId).filter(Boolean));
+};
 
-  // Copy all profile keys first (so our identity fields override afterwards)
-  for (const [k, v] of Object.entries(profile || {})) {
-    mat[k] = normalizeToArray(v);
+// Remove entries a previous sync pushed (per the manifest) that no longer
+// have a local preset. Anything not in the manifest is left alone.
+const pruneRemovedEntries = (list, previous, currentIds) => {
+  const stockIds = loadStockIds();
+  const stale = new Set(
+    previous
+      .map((e) => String(e.id))
+      .filter((id) => !currentIds.has(id) && !stockIds.has(id))
+  );
+  if (!stale.size) return 0;
+
+  let removed = 0;
+  for (let i = list.length - 1; i >= 0; i--) {
+    const id = getEntryId(list[i]);
+    if (stale.has(id)) {
+      dlog(`REMOVED material id=${id} name=${list[i]?.base?.name}`);
+      list.splice(i, 1);
+      removed += 1;
+    }
   }
-
-  // Required identity fields (what the printer UI actually keys on)
-  const id = String(notesObj.id);
-  const name = String(notesObj.name);
-  const vendor = String(notesObj.vendor);
-  const type = String(notesObj.type);
-
-  mat.id = [id];
-  mat.name = [name];
-  mat.filament_id = [id];
-  mat.filament_vendor = [vendor];
-  mat.filament_type = [type];
-  mat.filament_settings_id = [name];
-  mat.from = ['User'];
-  mat.is_custom_defined = [0];
-  mat.filament_notes = [JSON.stringify({ id, vendor, type, name })];
-
-  return mat;
+  return removed;
 };
 
-const addToDatabase = async (profiles) => {
-  ensureDataDir();
+// Drop entries of our (non-stock) ids for a model/nozzle no preset targets any
+// more, e.g. after a preset moved from the 0.4 to the 0.6 nozzle.
+const pruneStaleTargets = (list, writtenKeys) => {
+  const stockIds = loadStockIds();
+  let removed = 0;
+  for (let i = list.length - 1; i >= 0; i--) {
+    const id = getEntryId(list[i]);
+    const keys = writtenKeys.get(id);
+    if (!keys || stockIds.has(id) || keys.has(entryTargetKey(list[i]))) continue;
+    dlog(`REMOVED material id=${id} ${entryTargetKey(list[i])} (no longer targeted)`);
+    list.splice(i, 1);
+    removed += 1;
+  }
+  return removed;
+};
 
-  const dbObj = await loadBaseDatabase();
+/**
+ * Apply profiles to the printer's material_database.json.
+ *
+ * `printer` is an entry from printers.js; its box DB is the baseline (read
+ * through `session` when given) and the result is written to its data folder
+ * unless `write` is false (dry runs). `previous` is the manifest from the
+ * last sync (see manifest.js); entries it lists that no longer have a local
+ * preset are pruned.
+ */
+const addToDatabase = async (profiles, { printer, session, previous = [], write = true } = {}) => {
+
+  const dbObj = await loadBaseDatabase(printer, { session });
+  const base = JSON.parse(JSON.stringify(dbObj));
   const list = getList(dbObj);
   const startingCount = Number(dbObj?.result?.count ?? list.length);
 
@@ -156,6 +177,8 @@ const addToDatabase = async (profiles) => {
 
   let added = 0;
   let updated = 0;
+  const currentIds = new Set();
+  const writtenKeys = new Map(); // id -> Set of printerIntName@nozzle
 
   for (const p of profiles) {
     const notesObj = parseNotes(p);
@@ -165,30 +188,48 @@ const addToDatabase = async (profiles) => {
     }
 
     const id = String(notesObj.id);
-    const idx = findById(list, id);
-    const material = buildMaterialFromProfile(p, notesObj);
-
-    if (idx >= 0) {
-      list[idx] = material;
-      updated += 1;
-      dlog(`UPDATED material id=${id} name=${notesObj.name}`);
-    } else {
-      list.push(material);
-      added += 1;
-      dlog(`ADDED material id=${id} name=${notesObj.name}`);
+    currentIds.add(id);
+    const legacy = removeLegacyEntries(list, id);
+    if (legacy) dlog(`Removed ${legacy} legacy flat entr${legacy === 1 ? 'y' : 'ies'} for id=${id}`);
+
+    if (!writtenKeys.has(id)) writtenKeys.set(id, new Set());
+    for (const target of entryTargets(p, printer)) {
+      const key = targetKey(target.printerIntName, target.nozzle);
+      writtenKeys.get(id).add(key);
+
+      const idx = findEntry(list, id, key);
+      const material = buildMaterialFromProfile(p, notesObj, target);
+
+      if (idx >= 0) {
+        list[idx] = material;
+        updated += 1;
+        dlog(`UPDATED material id=${id} ${key} name=${notesObj.name}`);
+      } else {
+        list.push(material);
+        added += 1;
+        dlog(`ADDED material id=${id} ${key} name=${notesObj.name}`);
+      }
     }
   }
 
+  const removed = pruneStaleTargets(list, writtenKeys) + pruneRemovedEntries(list, previous, currentIds);
+
   dbObj.result.count = list.length;
   dbObj.result.version = nowEpochSeconds();
 
   log(
     `Ending DB list length: ${list.length} (count=${dbObj.result.count}, version=${dbObj.result.version})`
   );
-  if (DEBUG) log(`Added: ${added}, Updated: ${updated}`);
+  if (DEBUG || removed) log(`Added: ${added}, Updated: ${updated}, Removed: ${removed}`);
+
+  if (write) {
+    const dataDir = getDataDir(printer);
+    ensureDataDir(dataDir);
+    fs.writeFileSync(path.join(dataDir, 'material_database.json'), JSON.stringify(dbObj, null, '\t'));
+  }
 
-  const outPath = path.join(DATA_DIR, 'material_database.json');
-  fs.writeFileSync(outPath, JSON.stringify(dbObj, null, '\t'));
+  // Callers (e.g. --dry-run) diff the printer baseline against what we built.
+  return { base, result: dbObj };
 };
 
-module.exports = { addToDatabase };
+module.exports = { addToDatabase, loadBaseDatabase, getEntryId };
@@ -0,0 +1,124 @@
+const { getEntryId } = require('./database-tool');
+const { entryTargetKey } = require('./targets');
+const { splitNames } = require('./options-tool');
+
+// Structured diffs between the printer baseline and the files we built.
+// Used by --dry-run so changes can be reviewed before touching a printer.
+
+const log = (...args) => console.log('[Filament-Sync][diff]', ...args);
+
+// Entries are per id and printer model/nozzle. Legacy flat entries (pre
+// printer-shape builds) have no base.id; key them separately so they still
+// show up as removed.
+const entryKey = (m) =>
+  getEntryId(m) ? `${getEntryId(m)}\u0000${entryTargetKey(m)}` : `legacy:${Array.isArray(m?.id) ? m.id[0] : m?.id ?? '?'}`;
+
+const indexEntries = (dbObj) => {
+  const map = new Map();
+  const list = Array.isArray(dbObj?.result?.list) ? dbObj.result.list : [];
+  for (const m of list) map.set(entryKey(m), m);
+  return map;
+};
+
+const changedKeys = (a = {}, b = {}) => {
+  const keys = new Set([...Object.keys(a || {}), ...Object.keys(b || {})]);
+  return [...keys]
+    .filter((k) => JSON.stringify(a?.[k]) !== JSON.stringify(b?.[k]))
+    .sort();
+};
+
+const describeEntry = (m) => ({
+  id: getEntryId(m) || entryKey(m),
+  target: getEntryId(m) ? entryTargetKey(m) : null,
+  brand: m?.base?.brand ?? null,
+  type: m?.base?.meterialType ?? null,
+  name: m?.base?.name ?? null,
+});
+
+const diffDatabase = (baseDb, resultDb) => {
+  const before = indexEntries(baseDb);
+  const after = indexEntries(resultDb);
+
+  const added = [];
+  const updated = [];
+  const removed = [];
+
+  for (const [key, m] of after) {
+    const prev = before.get(key);
+    if (!prev) {
+      added.push(describeEntry(m));
+      continue;
+    }
+
+    const kvParam = changedKeys(prev.kvParam, m.kvParam);
+    const base = changedKeys(prev.base, m.base);
+    const top = changedKeys(
+      { engineVersion: prev.engineVersion, printerIntName: prev.printerIntName, nozzleDiameter: prev.nozzleDiameter },
+      { engineVersion: m.engineVersion, printerIntName: m.printerIntName, nozzleDiameter: m.nozzleDiameter }
+    );
+    if (kvParam.length || base.length || top.length) {
+      updated.push({ ...describeEntry(m), kvParam, base, fields: top });
+    }
+  }
+
+  for (const [key, m] of before) {
+    if (!after.has(key)) removed.push(describeEntry(m));
+  }
+
+  return { added, updated, removed };
+};
+
+const diffOptions = (baseOpt, resultOpt) => {
+  const changes = [];
+  const vendors = new Set([...Object.keys(baseOpt || {}), ...Object.keys(resultOpt || {})]);
+
+  for (const vendor of [...vendors].sort()) {
+    const beforeTypes = baseOpt?.[vendor] || {};
+    const afterTypes = resultOpt?.[vendor] || {};
+    const types = new Set([...Object.keys(beforeTypes), ...Object.keys(afterTypes)]);
+
+    for (const type of [...types].sort()) {
+      const beforeNames = splitNames(beforeTypes[type]);
+      const afterNames = splitNames(afterTypes[type]);
+      const added = afterNames.filter((n) => !beforeNames.includes(n));
+      const removed = beforeNames.filter((n) => !afterNames.includes(n));
+      if (added.length || removed.length) changes.push({ vendor, type, added, removed });
+    }
+  }
+
+  return changes;
+};
+
+const hasChanges = ({ database, options }) =>
+  database.added.length > 0 ||
+  database.updated.length > 0 ||
+  database.removed.length > 0 ||
+  options.length > 0;
+
+const label = (e) =>
+  `${e.id} ${[e.brand, e.type, e.name].filter(Boolean).join(' / ')}${e.target ? ` [${e.target}]` : ''}`.trim();
+
+const printDiff = ({ database, options }) => {
+  log('material_database.json:');
+  if (!database.added.length && !database.updated.length && !database.removed.length) {
+    log('  (no changes)');
+  }
+  for (const e of database.added) log(`  + ${label(e)}`);
+  for (const e of database.updated) {
+    log(`  ~ ${label(e)}`);
+    if (e.fields.length) log(`      fields: ${e.fields.join(', ')}`);
+    if (e.base.length) log(`      base: ${e.base.join(', ')}`);
+    if (e.kvParam.length) log(`      kvParam: ${e.kvParam.join(', ')}`);
+  }
+  for (const e of database.removed) log(`  - ${label(e)}`);
+
+  log('material_option.json:');
+  if (!options.length) log('  (no changes)');
+  for (const c of options) {
+    log(`  ${c.vendor} / ${c.type}`);
+    for (const n of c.added) log(`      + ${n}`);
+    for (const n of c.removed) log(`      - ${n}`);
+  }
+};
+
+module.exports = { diffDatabase, diffOptions, hasChanges, printDiff };
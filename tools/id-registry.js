@@ -0,0 +1,152 @@
+const fs = require('fs');
+const path = require('path');
+
+const { expandedChain } = require('./targets');
+
+// Persistent map of preset identity -> RFID id, stored in ./id-registry.json.
+//
+// A preset's identity is the `setting_id` of the user's own preset file (kept
+// across renames), falling back to its filename. Auto-generated ids are looked up here
+// first, so renaming a preset keeps its id, and new ids are allocated as the
+// lowest free 5-digit id that is not on the printer or already taken by any preset.
+
+const DEBUG =
+  process.env.FILAMENT_SYNC_DEBUG === '1' ||
+  process.env.FILAMENT_SYNC_DEBUG === 'true';
+
+const log = (...args) => console.log('[Filament-Sync][ids]', ...args);
+const dlog = (...args) => {
+  if (DEBUG) log(...args);
+};
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+const REGISTRY_PATH = path.join(PROJECT_ROOT, 'id-registry.json');
+const REGISTRY_VERSION = 1;
+
+const FIRST_ID = 10000;
+const LAST_ID = 99999;
+
+const safeFirst = (v) => (Array.isArray(v) ? v[0] : v);
+
+const loadRegistry = () => {
+  if (!fs.existsSync(REGISTRY_PATH)) return { version: REGISTRY_VERSION, entries: {} };
+  try {
+    const obj = JSON.parse(fs.readFileSync(REGISTRY_PATH, 'utf8'));
+    return {
+      version: REGISTRY_VERSION,
+      entries: obj && typeof obj.entries === 'object' && obj.entries ? obj.entries : {},
+    };
+  } catch (e) {
+    // Never silently start over: that would hand out ids already on RFID tags
+    throw new Error(`Could not read ${REGISTRY_PATH} (${e.message}). Fix or remove the file.`);
+  }
+};
+
+const saveRegistry = (registry) => {
+  fs.writeFileSync(REGISTRY_PATH, JSON.stringify(registry, null, '\t'));
+  dlog(`Saved ${Object.keys(registry.entries).length} id(s) -> ${REGISTRY_PATH}`);
+};
+
+// Creality Print / OrcaSlicer keep a user preset's own setting_id in
+// "<preset>.info" next to it.
+const readInfoSettingId = (presetPath) => {
+  try {
+    const info = fs.readFileSync(presetPath.replace(/\.json$/i, '.info'), 'utf8');
+    return /^\s*setting_id\s*=\s*(\S+)/m.exec(info)?.[1] || null;
+  } catch {
+    return null;
+  }
+};
+
+const readSettingId = (presetPath) => {
+  try {
+    return safeFirst(JSON.parse(fs.readFileSync(presetPath, 'utf8'))?.setting_id) || null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * The registry key for a preset loaded from `source`.
+ *
+ * Expanded presets (filament/base) are identified by the user preset they were
+ * built from, the first link of filament_sync_chain: its .info or own
+ * setting_id, else its filename. The merged preset's setting_id may be the
+ * system preset's, shared by every preset inheriting from it, so it's never used.
+ */
+const getIdentity = (profile, source) => {
+  const chain = expandedChain(profile);
+  if (chain.length && source) {
+    // The expander writes filament/base/<name> from filament/<name>
+    const userFile = path.join(path.dirname(source), '..', path.basename(chain[0]));
+    const settingId = readInfoSettingId(userFile) || readSettingId(userFile);
+    return settingId ? `setting:${settingId}` : `file:${path.basename(chain[0])}`;
+  }
+
+  const settingId = (source && readInfoSettingId(source)) || safeFirst(profile?.setting_id);
+  if (settingId) return `setting:${settingId}`;
+  if (source) return `file:${path.basename(source)}`;
+  return `name:${safeFirst(profile?.name) || ''}`;
+};
+
+/**
+ * Returns { claim, assign } over `registry`.
+ *
+ * claim(identity, id, meta)  - record an id the user set explicitly in the notes
+ * assign(identity, meta)     - { id, created }: the registered id for identity,
+ *                              or a newly allocated free one (created: true)
+ *
+ * `reservedIds` (OEM ids etc.) are never handed out. Claim every explicit id
+ * before assigning, so new ids can't collide with presets later in the list.
+ */
+const createAllocator = (registry, { reservedIds = [] } = {}) => {
+  const taken = new Map(); // id -> identity using it this run
+  const reserved = new Set([...reservedIds].map(String));
+
+  const record = (identity, id, meta) => {
+    registry.entries[identity] = {
+      id,
+      vendor: meta?.vendor ?? null,
+      type: meta?.type ?? null,
+      name: meta?.name ?? null,
+      updated: new Date().toISOString(),
+    };
+    taken.set(id, identity);
+  };
+
+  const isFree = (id, identity) => {
+    if (reserved.has(id)) return false;
+    const user = taken.get(id);
+    if (user && user !== identity) return false;
+    // Ids registered to presets that aren't loaded this run stay reserved too
+    return !Object.entries(registry.entries).some(([k, e]) => k !== identity && String(e?.id) === id);
+  };
+
+  const claim = (identity, id, meta) => {
+    record(identity, String(id), meta);
+  };
+
+  const assign = (identity, meta) => {
+    const existing = registry.entries[identity];
+    if (existing?.id && isFree(String(existing.id), identity)) {
+      record(identity, String(existing.id), meta);
+      return { id: String(existing.id), created: false };
+    }
+    if (existing?.id) {
+      log(`WARN: id ${existing.id} for ${identity} is now used elsewhere; allocating a new one.`);
+    }
+
+    for (let n = FIRST_ID; n <= LAST_ID; n++) {
+      const id = String(n);
+      if (isFree(id, identity)) {
+        record(identity, id, meta);
+        return { id, created: true };
+      }
+    }
+    throw new Error('No free 5-digit filament ids left in id-registry.json.');
+  };
+
+  return { claim, assign };
+};
+
+module.exports = { REGISTRY_PATH, loadRegistry, saveRegistry, getIdentity, createAllocator };
@@ -0,0 +1,211 @@
+const fs = require('fs');
+const path = require('path');
+
+const { loadPresetIndex } = require('./preset-index');
+const { withSession } = require('./session');
+
+// Reverse sync: turn entries of the printer's material_database.json back into
+// slicer user presets, e.g. filaments tuned on the touchscreen or OEM entries.
+//
+// Each kvParam key becomes a one-element array (the slicer's own format;
+// compatible_printers / compatible_prints are split back into lists), and
+// filament_notes gets the entry's {id, vendor, type, name} so the preset syncs
+// back to the same id. `inherits` is kept when that system preset is installed,
+// otherwise it falls back to the matching fdm_filament_<type> template.
+//
+// Presets are written the way the slicer saves its own: into the user filament
+// folder with from "User", inherits and base_id, so the expander turns them into
+// filament/base presets the sync reads. When no parent preset is installed they
+// can't be expanded and go straight into filament/base instead.
+
+const DEBUG =
+  process.env.FILAMENT_SYNC_DEBUG === '1' ||
+  process.env.FILAMENT_SYNC_DEBUG === 'true';
+
+const log = (...args) => console.log('[Filament-Sync][import]', ...args);
+const dlog = (...args) => {
+  if (DEBUG) log(...args);
+};
+
+const LIST_KEYS = ['compatible_printers', 'compatible_prints'];
+
+const safeFirst = (v) => (Array.isArray(v) ? v[0] : v);
+
+const loadPrinterEntries = async (printer, { session } = {}) => {
+  const raw = await withSession(printer, session, (s) => s.readRemoteFile(printer.dbPath));
+  const list = JSON.parse(raw)?.result?.list;
+  if (!Array.isArray(list)) {
+    throw new Error(`Unexpected ${printer.dbPath} shape: expected result.list to be an array.`);
+  }
+  dlog(`Read ${list.length} entries from ${printer.dbPath}`);
+  return list.filter((m) => m?.base?.id && m.kvParam && typeof m.kvParam === 'object');
+};
+
+// The .../user/<USERID>/filament folder holds user presets; system/ sits three levels up.
+const getSystemRoot = (filamentRoot) => path.resolve(filamentRoot, '..', '..', '..', 'system');
+
+const parseNotesObject = (raw) => {
+  try {
+    const obj = JSON.parse(String(raw ?? ''));
+    return obj && typeof obj === 'object' && !Array.isArray(obj) ? obj : {};
+  } catch {
+    return {};
+  }
+};
+
+// Filament ids already used by presets in the user folder (and its base/ output).
+const loadPresetIds = (filamentRoot) => {
+  const ids = new Map();
+  for (const dir of [filamentRoot, path.join(filamentRoot, 'base')]) {
+    let names = [];
+    try {
+      names = fs.readdirSync(dir).filter((n) => n.toLowerCase().endsWith('.json'));
+    } catch {
+      continue;
+    }
+    for (const n of names) {
+      try {
+        const preset = JSON.parse(fs.readFileSync(path.join(dir, n), 'utf8'));
+        const id = parseNotesObject(safeFirst(preset.filament_notes)).id;
+        if (id) ids.set(String(id), path.join(dir, n));
+      } catch {
+        // Unreadable presets are reported by validate, not here
+      }
+    }
+  }
+  return ids;
+};
+
+const templateCandidates = (type) => {
+  const t = String(type || '').toLowerCase().trim();
+  const stem = t.split(/[-+ ]/)[0];
+  const out = [`fdm_filament_${t}`, `fdm_filament_${stem}`];
+  if (stem.startsWith('pet')) out.push('fdm_filament_pet');
+  out.push('fdm_filament_common');
+  return [...new Set(out)];
+};
+
+// `inherits` from the printer entry when the slicer has it, else the type's template.
+const resolveInherits = (entry, index) => {
+  const wanted = String(entry.kvParam.inherits || '').trim();
+  if (!index) return wanted;
+  if (wanted && index.find(wanted).length) return wanted;
+  const template = templateCandidates(entry.base.meterialType || entry.kvParam.filament_type).find(
+    (name) => index.find(name).length
+  );
+  if (wanted) dlog(`"${wanted}" is not installed; using ${template || 'no parent'} for ${entry.base.id}`);
+  return template || '';
+};
+
+// Creality Print's base_id: the setting_id of the system preset a user preset derives from.
+const baseIdOf = (name, index) => {
+  const [p] = index && name ? index.find(name) : [];
+  if (!p) return '';
+  try {
+    return String(JSON.parse(fs.readFileSync(p, 'utf8')).setting_id || '');
+  } catch {
+    return '';
+  }
+};
+
+// The expander can only build presets whose parent is installed.
+const isExpandable = (preset, index) => Boolean(index && preset.inherits && index.find(preset.inherits).length);
+
+const presetName = (base) => {
+  const brand = String(base.brand || '').trim();
+  const name = String(base.name || '').trim();
+  return !brand || name.toLowerCase().startsWith(brand.toLowerCase()) ? name : `${brand} ${name}`;
+};
+
+/**
+ * Convert one printer DB entry into a slicer user preset. `index` is the
+ * system preset index (tools/preset-index.js) used to pick `inherits`.
+ */
+const entryToPreset = (entry, { index } = {}) => {
+  const { base, kvParam } = entry;
+  const preset = {};
+
+  for (const [k, v] of Object.entries(kvParam)) {
+    if (k === 'inherits' || k === 'filament_notes') continue;
+    const value = String(v ?? '');
+    preset[k] = LIST_KEYS.includes(k) ? value.split(',').filter(Boolean) : [value];
+  }
+
+  const notes = {
+    ...parseNotesObject(kvParam.filament_notes),
+    id: String(base.id),
+    vendor: String(base.brand ?? ''),
+    type: String(base.meterialType ?? ''),
+    name: String(base.name ?? ''),
+  };
+  const name = presetName(base);
+
+  preset.filament_notes = [JSON.stringify(notes)];
+  preset.filament_settings_id = [name];
+  preset.name = name;
+  preset.from = 'User';
+  preset.inherits = resolveInherits(entry, index);
+  preset.base_id = baseIdOf(preset.inherits, index);
+  preset.is_custom_defined = '0';
+  return preset;
+};
+
+const sanitizeFilename = (name) => name.replace(/[<>:"/\\|?*\x00-\x1F]/g, '_').trim();
+
+/**
+ * Write the selected printer entries as user presets into `filamentRoot`
+ * (its base/ folder for presets without an installed parent).
+ *
+ * ids       - entry ids to import (null = all entries)
+ * force     - overwrite an existing preset file / import ids a preset already uses
+ * dryRun    - only report what would be written
+ *
+ * Returns { written: [{ id, path, inherits, expand }], skipped: [{ id, reason }] }
+ * where `expand` is false for presets written straight into base/.
+ */
+const importEntries = (entries, filamentRoot, { ids = null, force = false, dryRun = false } = {}) => {
+  const systemRoot = getSystemRoot(filamentRoot);
+  const index = fs.existsSync(systemRoot) ? loadPresetIndex(systemRoot) : null;
+  if (!index) log(`WARN: no system presets at ${systemRoot}; writing full presets into ${path.join(filamentRoot, 'base')}.`);
+
+  const existing = loadPresetIds(filamentRoot);
+  const wanted = ids ? new Set(ids.map(String)) : null;
+  const written = [];
+  const skipped = [];
+
+  if (wanted) {
+    const found = new Set(entries.map((e) => String(e.base.id)));
+    for (const id of wanted) if (!found.has(id)) skipped.push({ id, reason: 'not in the printer database' });
+  }
+
+  for (const entry of entries) {
+    const id = String(entry.base.id);
+    if (wanted && !wanted.has(id)) continue;
+    // One preset per id; the printer may hold an entry per model/nozzle for it
+    if (written.some((w) => w.id === id)) continue;
+
+    if (existing.has(id) && !force) {
+      skipped.push({ id, reason: `already used by ${path.basename(existing.get(id))}` });
+      continue;
+    }
+
+    const preset = entryToPreset(entry, { index });
+    const expand = isExpandable(preset, index);
+    const outDir = expand ? filamentRoot : path.join(filamentRoot, 'base');
+    const outPath = path.join(outDir, `${sanitizeFilename(preset.name)}.json`);
+    if (written.some((w) => w.path === outPath) || (fs.existsSync(outPath) && !force)) {
+      skipped.push({ id, reason: `${path.basename(outPath)} already exists` });
+      continue;
+    }
+
+    if (!dryRun) {
+      fs.mkdirSync(outDir, { recursive: true });
+      fs.writeFileSync(outPath, JSON.stringify(preset, null, 4));
+    }
+    written.push({ id, path: outPath, inherits: preset.inherits, expand });
+  }
+
+  return { written, skipped };
+};
+
+module.exports = { loadPrinterEntries, loadPresetIds, entryToPreset, importEntries };
@@ -1,28 +1,104 @@
 const fs = require('fs')
 
+// Slicer presets store lists (compatible printers etc.) as arrays; the printer
+// keeps them as a single comma-separated string.
+const LIST_KEYS = ['compatible_printers', 'compatible_prints']
+
+const parseNotes = (notes) => {
+    if (notes && typeof notes === 'object') return notes
+    return JSON.parse(String(notes))
+}
+
+const COLOR_RE = /^#?([0-9a-f]{6})$/i
+
+const toNumber = (value) => {
+    const n = parseFloat(String(value ?? '').replace('%', '').trim())
+    return Number.isFinite(n) ? n : 0
+}
+
+const round = (n, digits = 4) => Number(n.toFixed(digits))
+
+// "#FFFFFF", "#ff0000;#00ff00" or ["#ff0000", ...] -> ["#ffffff", ...]
+const parseColors = (value) => {
+    const list = Array.isArray(value) ? value : String(value ?? '').split(/[;,]/)
+    return list
+        .map((c) => COLOR_RE.exec(String(c).trim()))
+        .filter(Boolean)
+        .map((m) => `#${m[1].toLowerCase()}`)
+}
+
+// "dry" in the notes: "55/8", [55, 8] or {"temp": 55, "time": 8} (°C / hours)
+const parseDrying = (dry) => {
+    if (Array.isArray(dry)) return { temp: toNumber(dry[0]), time: toNumber(dry[1]) }
+    if (dry && typeof dry === 'object') return { temp: toNumber(dry.temp), time: toNumber(dry.time) }
+    const [temp, time] = String(dry ?? '').split('/')
+    return { temp: toNumber(temp), time: toNumber(time) }
+}
+
+// Grams per metre of filament: density (g/cm³) × cross-section (mm²);
+// one metre of a 1 mm² strand is exactly 1 cm³.
+const weightPerMeter = (density, diameter) => {
+    const d = toNumber(diameter)
+    return toNumber(density) * Math.PI * (d / 2) ** 2
+}
+
+/**
+ * The printer's `base` metadata that the slicer preset can tell us about.
+ *
+ * From the preset: colors (default_filament_colour), weight and cost per metre
+ * (filament_cost is per kg), shrinkageRate (100% - filament_shrink) and
+ * softeningTemp (temperature_vitrification). filament_notes may add or
+ * override: "colors", "dry" (see parseDrying), "dryingTemp", "dryingTime",
+ * "costPerMeter", "weightPerMeter", "shrinkageRate" and "softeningTemp".
+ */
+const baseMetadata = (preset, notes) => {
+    const weight = weightPerMeter(preset.filament_density, preset.filament_diameter)
+    const drying = notes.dry !== undefined ? parseDrying(notes.dry) : { temp: 0, time: 0 }
+    const shrink = String(preset.filament_shrink ?? '').trim()
+    // Notes colours that don't parse fall back to the preset's, like missing ones
+    const noteColors = parseColors(notes.colors)
+
+    const meta = {
+        colors: noteColors.length ? noteColors : parseColors(preset.default_filament_colour),
+        costPerMeter: round(toNumber(preset.filament_cost) * weight / 1000),
+        weightPerMeter: round(weight),
+        shrinkageRate: shrink ? round(Math.max(0, 100 - toNumber(shrink))) : 0,
+        softeningTemp: toNumber(preset.temperature_vitrification),
+        dryingTemp: drying.temp,
+        dryingTime: drying.time
+    }
+    for (const key of ['dryingTemp', 'dryingTime', 'costPerMeter', 'weightPerMeter', 'shrinkageRate', 'softeningTemp']) {
+        if (notes[key] !== undefined) meta[key] = toNumber(notes[key])
+    }
+    if (!meta.colors.length) meta.colors = ['#ffffff']
+    return meta
+}
+
+// Returns a flattened copy; the caller's preset is left untouched since the
+// same profile objects are shared with the options builder.
 const convertSlicerFormat = (preset) => {
-    let presetNotes = preset.filament_notes[0]
-    for (value in preset) {
-        if(Array.isArray(preset[value])) {
-            preset[value] = preset[value][0]
+    let flat = {}
+    for (const key in preset) {
+        const value = preset[key]
+        if (Array.isArray(value)) {
+            flat[key] = LIST_KEYS.includes(key) ? value.join(',') : value[0]
         }
         else {
-            preset[value] = preset[value]
+            flat[key] = value
         }
     }
-    preset.filament_notes = JSON.parse(presetNotes)
-    return preset
+    flat.filament_notes = parseNotes(flat.filament_notes)
+    return flat
 }
 
-const convertToPrinterFormat = (preset) => {
-    let newPreset
-    let presetNotes
-    newPreset = convertSlicerFormat(preset)
-    presetNotes = preset.filament_notes
+const convertToPrinterFormat = (profile, { printerIntName = "F008", nozzleDiameter = "0.4" } = {}) => {
+    const preset = convertSlicerFormat(profile)
+    const presetNotes = preset.filament_notes
+    const meta = baseMetadata(preset, presetNotes)
     let newObject = {
         "engineVersion": "3.0.0",
-        "printerIntName": "F008",
-        "nozzleDiameter": ["0.4"],
+        "printerIntName": printerIntName,
+        "nozzleDiameter": [String(nozzleDiameter)],
         "kvParam": {
             "activate_air_filtration": "",
             "activate_chamber_temp_control": "",
@@ -116,35 +192,39 @@ const convertToPrinterFormat = (preset) => {
             "textured_plate_temp_initial_layer": ""
         },
         "base": {
-            "id": presetNotes.id,
+            "id": String(presetNotes.id),
             "brand": presetNotes.vendor || preset.filament_vendor,
             "name": presetNotes.name || preset.name,
             "meterialType": presetNotes.type || preset.filament_type,
-            "colors": [
-                "#ffffff"
-            ],
+            "colors": meta.colors,
             "density": Number(preset.filament_density),
             "diameter": preset.filament_diameter,
-            "costPerMeter": 0,
-            "weightPerMeter": 0,
+            "costPerMeter": meta.costPerMeter,
+            "weightPerMeter": meta.weightPerMeter,
             "rank": 10000,
             "minTemp": Number(preset.nozzle_temperature_range_low),
             "maxTemp": Number(preset.nozzle_temperature_range_high),
             "isSoluble": preset.filament_soluble == 1 ? true : false,
             "isSupport": preset.filament_is_support == 1 ? true : false,
-            "shrinkageRate": 0,
-            "softeningTemp": 0,
-            "dryingTemp": 0,
-            "dryingTime": 0
+            "shrinkageRate": meta.shrinkageRate,
+            "softeningTemp": meta.softeningTemp,
+            "dryingTemp": meta.dryingTemp,
+            "dryingTime": meta.dryingTime
         }
     }
     let kvParam = newObject.kvParam
-    for (item in kvParam) {
-        kvParam[item] = preset[item]
-        if (kvParam[item] == undefined) kvParam[item] = ""
+    for (const item in kvParam) {
+        kvParam[item] = preset[item] == undefined ? "" : String(preset[item])
     }
+    // Identity fields come from the notes so the printer UI groups the
+    // filament the same way material_option.json does.
+    kvParam.filament_vendor = String(newObject.base.brand)
+    kvParam.filament_type = String(newObject.base.meterialType)
+    kvParam.filament_notes = JSON.stringify(presetNotes)
     newObject.kvParam = kvParam
     return newObject
 }
 
-module.exports = convertToPrinterFormat
\ No newline at end of file
+module.exports = convertToPrinterFormat
+module.exports.convertSlicerFormat = convertSlicerFormat
+module.exports.baseMetadata = baseMetadata
\ No newline at end of file
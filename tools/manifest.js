@@ -0,0 +1,125 @@
+const fs = require('fs');
+const path = require('path');
+
+const { canConnect, getDataDir } = require('./printers');
+const { withSession } = require('./session');
+const { entryTargets } = require('./targets');
+
+// Records which filaments the last successful sync pushed, so the next run can
+// tell "ours and deleted from the slicer" apart from stock printer entries.
+// The manifest is uploaded next to the synced files in REMOTE_SYNC_DIR; the
+// copy in ./data is only a fallback for when the printer can't be read.
+
+const DEBUG =
+  process.env.FILAMENT_SYNC_DEBUG === '1' ||
+  process.env.FILAMENT_SYNC_DEBUG === 'true';
+
+const log = (...args) => console.log('[Filament-Sync][manifest]', ...args);
+const dlog = (...args) => {
+  if (DEBUG) log(...args);
+};
+
+const MANIFEST_NAME = 'filament-sync-manifest.json';
+const MANIFEST_VERSION = 1;
+
+const getNotesString = (profile) => {
+  const n = profile?.filament_notes;
+  if (Array.isArray(n)) return String(n[0] ?? '');
+  if (typeof n === 'string') return n;
+  return '';
+};
+
+const parseNotes = (profile) => {
+  const raw = (getNotesString(profile) || '').trim();
+  if (!raw || raw === '""') return null;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+};
+
+const emptyManifest = () => ({ version: MANIFEST_VERSION, updated: null, filaments: [] });
+
+const normalizeManifest = (obj) => {
+  const filaments = Array.isArray(obj?.filaments) ? obj.filaments : [];
+  return {
+    version: MANIFEST_VERSION,
+    updated: obj?.updated ?? null,
+    filaments: filaments
+      .filter((f) => f && f.id)
+      .map((f) => ({
+        id: String(f.id),
+        vendor: String(f.vendor ?? ''),
+        type: String(f.type ?? ''),
+        name: String(f.name ?? ''),
+      })),
+  };
+};
+
+const loadLocalManifest = (printer) => {
+  const p = path.join(getDataDir(printer), MANIFEST_NAME);
+  if (!fs.existsSync(p)) {
+    dlog(`No manifest at ${p}; treating every printer entry as not ours.`);
+    return emptyManifest();
+  }
+  try {
+    const manifest = normalizeManifest(JSON.parse(fs.readFileSync(p, 'utf8')));
+    dlog(`Loaded manifest from repo: ${p}`);
+    return manifest;
+  } catch (e) {
+    log(`WARN: ignoring unreadable manifest ${p} (${e.message})`);
+    return emptyManifest();
+  }
+};
+
+const loadManifest = async (printer, { session } = {}) => {
+  // 1) Prefer the manifest on the printer (it matches what is actually installed)
+  if (canConnect(printer)) {
+    const remotePath = `${printer.remoteDir}/${MANIFEST_NAME}`;
+    try {
+      const raw = await withSession(printer, session, (s) => s.readRemoteFile(remotePath));
+      const manifest = normalizeManifest(JSON.parse(raw));
+      dlog(`Loaded manifest from printer: ${remotePath}`);
+      return manifest;
+    } catch (e) {
+      dlog(`WARN: couldn't read manifest from printer (${e.message.split('\n')[0]}). Falling back.`);
+    }
+  }
+
+  // 2) Fall back to the copy written by the last local build
+  return loadLocalManifest(printer);
+};
+
+// Only presets that got an entry on `printer`: one whose models all lack a
+// printer code wrote nothing there, so its id isn't ours to claim.
+const buildManifest = (profiles, printer) => {
+  const filaments = [];
+  for (const p of profiles) {
+    const notes = parseNotes(p);
+    if (!notes || !notes.id || !notes.vendor || !notes.type || !notes.name) continue;
+    if (!entryTargets(p, printer, { warn: false }).length) continue;
+    const entry = {
+      id: String(notes.id),
+      vendor: String(notes.vendor),
+      type: String(notes.type),
+      name: String(notes.name),
+    };
+    // Presets for other nozzles/models share an id but may use another name;
+    // keep each (vendor, type, name) so every one of them can be pruned later
+    const same = (f) => f.id === entry.id && f.vendor === entry.vendor && f.type === entry.type && f.name === entry.name;
+    if (!filaments.some(same)) filaments.push(entry);
+  }
+  return { version: MANIFEST_VERSION, updated: new Date().toISOString(), filaments };
+};
+
+// Written into ./data so scp.js uploads it alongside the two printer files.
+const writeManifest = (manifest, printer) => {
+  const dataDir = getDataDir(printer);
+  if (!fs.existsSync(dataDir)) fs.mkdirSync(dataDir, { recursive: true });
+  const p = path.join(dataDir, MANIFEST_NAME);
+  fs.writeFileSync(p, JSON.stringify(normalizeManifest(manifest), null, '\t'));
+  dlog(`Saved manifest (${manifest.filaments.length} filament(s)) -> ${p}`);
+};
+
+module.exports = { MANIFEST_NAME, loadManifest, buildManifest, writeManifest };
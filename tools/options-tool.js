@@ -1,9 +1,9 @@
 const fs = require('fs');
 const path = require('path');
 
-const cfg = require('../user-config');
-
-const { connectSSH, readRemoteFile } = require('./ssh-util');
+const { canConnect, getDataDir } = require('./printers');
+const { withSession } = require('./session');
+const { entryTargets } = require('./targets');
 
 const DEBUG =
   process.env.FILAMENT_SYNC_DEBUG === '1' ||
@@ -14,11 +14,8 @@ const dlog = (...args) => {
   if (DEBUG) log(...args);
 };
 
-const PROJECT_ROOT = path.join(__dirname, '..');
-const DATA_DIR = path.join(PROJECT_ROOT, 'data');
-
-const ensureDataDir = () => {
-  if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
+const ensureDataDir = (dir) => {
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
 };
 
 const unwrapFirst = (v) => (Array.isArray(v) ? v[0] : v);
@@ -40,44 +37,23 @@ const parseNotes = (profile) => {
   }
 };
 
-const getPrinterConfig = () => {
-  const host = cfg.PRINTER_IP || cfg.PRINTERIP || cfg.HOST || cfg.HOSTNAME;
-  const port = Number(cfg.PORT || 22);
-  const username = cfg.USER || 'root';
-  const password = cfg.PASSWORD;
-
-  if (!host || !password) return null;
-  return { host, port, username, password };
-};
-
-const resolveRemotePaths = () => {
-  const boxDir = cfg.REMOTE_BOX_DIR || '/mnt/UDISK/creality/userdata/box';
-  const optPath = cfg.PRINTER_OPT_PATH || `${boxDir}/material_option.json`;
-  return { boxDir, optPath };
-};
-
 const loadJsonFile = (filePath) => {
   const raw = fs.readFileSync(filePath, 'utf8');
   return JSON.parse(raw);
 };
 
-const loadBaseOptions = async () => {
+const loadBaseOptions = async (printer, { session } = {}) => {
   // 1) Prefer reading the current options off the printer
-  const sshCfg = getPrinterConfig();
-  const { optPath } = resolveRemotePaths();
-  if (sshCfg) {
+  if (canConnect(printer)) {
+    const { optPath } = printer;
     try {
-      const conn = await connectSSH(sshCfg);
-      try {
-        const raw = await readRemoteFile(conn, optPath);
-        const json = JSON.parse(raw);
-        dlog(`Loaded base options from printer: ${optPath}`);
-        return json;
-      } finally {
-        conn.end();
-      }
+      const raw = await withSession(printer, session, (s) => s.readRemoteFile(optPath));
+      const json = JSON.parse(raw);
+      dlog(`Loaded base options from printer: ${optPath}`);
+      return json;
     } catch (e) {
-      dlog(`WARN: couldn't read base options from printer (${e.message.split('\n')[0]}). Falling back.`);
+      const warn = e.code === 'PRINTER_UNREACHABLE' ? log : dlog;
+      warn(`WARN: couldn't read base options from printer (${e.message.split('\n')[0]}). Falling back.`);
     }
   }
 
@@ -88,32 +64,125 @@ const loadBaseOptions = async () => {
   return json;
 };
 
-const addToOptions = async (profiles) => {
-  ensureDataDir();
+// The printer keeps every filament name for a vendor/type in one newline-separated string.
+const splitNames = (value) =>
+  String(value ?? '')
+    .split('\n')
+    .map((n) => n.trim())
+    .filter(Boolean);
+
+const joinNames = (names) => names.join('\n');
+
+const entryKey = (vendor, type, name) => `${vendor}\u0000${type}\u0000${name}`;
+
+// Names shipped with the printer firmware; these are never removed even if a
+// previous sync happened to use the same vendor/type/name.
+const loadStockKeys = () => {
+  const stockPath = path.join(__dirname, 'sourcedata', 'material_option.json');
+  const keys = new Set();
+  const stock = loadJsonFile(stockPath);
+  for (const [vendor, types] of Object.entries(stock)) {
+    if (typeof types !== 'object' || types === null) continue;
+    for (const [type, names] of Object.entries(types)) {
+      for (const name of splitNames(names)) keys.add(entryKey(vendor, type, name));
+    }
+  }
+  return keys;
+};
+
+const removeName = (obj, vendor, type, name) => {
+  const types = obj[vendor];
+  if (typeof types !== 'object' || types === null || !(type in types)) return false;
+
+  const names = splitNames(types[type]);
+  const kept = names.filter((n) => n !== name);
+  if (kept.length === names.length) return false;
+
+  if (kept.length) {
+    types[type] = joinNames(kept);
+  } else {
+    delete types[type];
+    if (Object.keys(types).length === 0) delete obj[vendor];
+  }
+  return true;
+};
+
+const addName = (obj, vendor, type, name) => {
+  if (typeof obj[vendor] !== 'object' || obj[vendor] === null) {
+    obj[vendor] = {};
+  }
 
-  const obj = await loadBaseOptions();
+  const names = splitNames(obj[vendor][type]);
+  const deduped = [...new Set(names)];
+  const added = !deduped.includes(name);
+  if (added) deduped.push(name);
 
-  let processed = 0;
+  obj[vendor][type] = joinNames(deduped);
+  return added;
+};
 
+/**
+ * Merge profile names into the printer's material_option.json.
+ *
+ * `printer` is an entry from printers.js (read through `session` when given).
+ * `previous` is the list of
+ * {vendor, type, name} entries pushed by the last sync (see manifest.js).
+ * Any of those that no longer exist locally are removed; stock firmware names
+ * are always kept. Presets that get no database entry on `printer` (only
+ * unmapped models) are left out. Nothing is written to the data folder when `write` is false.
+ */
+const addToOptions = async (profiles, { printer, session, previous = [], write = true } = {}) => {
+
+  const obj = await loadBaseOptions(printer, { session });
+  const base = JSON.parse(JSON.stringify(obj));
+  const stockKeys = loadStockKeys();
+
+  const current = [];
   for (const p of profiles) {
     const notes = parseNotes(p);
     if (!notes || !notes.vendor || !notes.type || !notes.name) {
       dlog('SKIP: invalid notes for profile', unwrapFirst(p?.name) || '(unnamed)');
       continue;
     }
+    // Same presets as the database and manifest: none for unmapped models only
+    if (!entryTargets(p, printer, { warn: false }).length) {
+      dlog('SKIP: no mapped printer model for profile', unwrapFirst(p?.name) || '(unnamed)');
+      continue;
+    }
+    current.push({ vendor: String(notes.vendor), type: String(notes.type), name: String(notes.name) });
+  }
+
+  const currentKeys = new Set(current.map((e) => entryKey(e.vendor, e.type, e.name)));
+
+  let removed = 0;
+  for (const e of previous) {
+    const key = entryKey(e.vendor, e.type, e.name);
+    if (currentKeys.has(key) || stockKeys.has(key)) continue;
+    if (removeName(obj, e.vendor, e.type, e.name)) {
+      removed += 1;
+      dlog(`REMOVED option ${e.vendor} / ${e.type} / ${e.name}`);
+    }
+  }
 
-    if (typeof obj[notes.vendor] !== 'object' || obj[notes.vendor] === null) {
-      obj[notes.vendor] = {};
+  let added = 0;
+  for (const e of current) {
+    if (addName(obj, e.vendor, e.type, e.name)) {
+      added += 1;
+      dlog(`ADDED option ${e.vendor} / ${e.type} / ${e.name}`);
     }
+  }
 
-    obj[notes.vendor][notes.type] = notes.name;
-    processed += 1;
+  if (write) {
+    const dataDir = getDataDir(printer);
+    ensureDataDir(dataDir);
+    fs.writeFileSync(path.join(dataDir, 'material_option.json'), JSON.stringify(obj, null, '	'));
   }
 
-  const outPath = path.join(DATA_DIR, 'material_option.json');
-  fs.writeFileSync(outPath, JSON.stringify(obj, null, '	'));
+  log(
+    `Processed ${current.length} note entries into material_option.json (added ${added}, removed ${removed})`
+  );
 
-  log(`Processed ${processed} note entries into material_option.json`);
+  return { base, result: obj };
 };
 
-module.exports = { addToOptions };
+module.exports = { addToOptions, loadBaseOptions, splitNames };
@@ -0,0 +1,113 @@
+const fs = require('fs');
+const path = require('path');
+
+// Index of a slicer's system presets: preset name -> file path(s).
+//
+// Every .json under system/ is listed once, keyed by its filename stem and by
+// the "name" field inside it (they differ for some vendor presets). Names are
+// cached in temp/system-preset-index.json together with each file's mtime and
+// size, so later runs only re-read files that changed.
+
+const CACHE_PATH = path.join(__dirname, '..', 'temp', 'system-preset-index.json');
+const CACHE_VERSION = 1;
+
+const readCache = () => {
+  try {
+    const obj = JSON.parse(fs.readFileSync(CACHE_PATH, 'utf8'));
+    if (obj && obj.version === CACHE_VERSION && obj.roots && typeof obj.roots === 'object') return obj;
+  } catch {
+    // Missing or corrupt cache: rebuild
+  }
+  return { version: CACHE_VERSION, roots: {} };
+};
+
+const writeCache = (cache) => {
+  try {
+    fs.mkdirSync(path.dirname(CACHE_PATH), { recursive: true });
+    fs.writeFileSync(CACHE_PATH, JSON.stringify(cache));
+  } catch {
+    // The cache only saves time; never fail the run over it
+  }
+};
+
+const listJsonFiles = (dir, out = []) => {
+  let entries = [];
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch {
+    return out;
+  }
+  for (const e of entries) {
+    const full = path.join(dir, e.name);
+    if (e.isDirectory()) listJsonFiles(full, out);
+    else if (e.isFile() && e.name.toLowerCase().endsWith('.json')) out.push(full);
+  }
+  return out;
+};
+
+const readPresetName = (file) => {
+  try {
+    const name = JSON.parse(fs.readFileSync(file, 'utf8'))?.name;
+    return typeof name === 'string' ? name.trim() : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Build (or refresh from the cache) the index for `systemRoot`.
+ *
+ * Returns { find(name) -> [paths], size, parsed } where `parsed` counts the
+ * files that had to be read because they were new or changed.
+ */
+const loadPresetIndex = (systemRoot) => {
+  const root = path.resolve(systemRoot);
+  const cache = readCache();
+  const cached = cache.roots[root]?.files || {};
+  const files = {};
+  let parsed = 0;
+
+  for (const full of listJsonFiles(root)) {
+    const rel = path.relative(root, full);
+    let st;
+    try {
+      st = fs.statSync(full);
+    } catch {
+      continue;
+    }
+    const prev = cached[rel];
+    if (prev && prev.mtimeMs === st.mtimeMs && prev.size === st.size) {
+      files[rel] = prev;
+    } else {
+      files[rel] = { mtimeMs: st.mtimeMs, size: st.size, name: readPresetName(full) };
+      parsed++;
+    }
+  }
+
+  const removed = Object.keys(cached).some((rel) => !files[rel]);
+  if (parsed || removed || !cache.roots[root]) {
+    cache.roots[root] = { files };
+    writeCache(cache);
+  }
+
+  const byName = new Map();
+  const add = (name, full) => {
+    if (!name) return;
+    if (!byName.has(name)) byName.set(name, []);
+    const list = byName.get(name);
+    if (!list.includes(full)) list.push(full);
+  };
+  for (const rel of Object.keys(files).sort()) {
+    const full = path.join(root, rel);
+    add(path.basename(rel).replace(/\.json$/i, ''), full);
+    add(files[rel].name, full);
+  }
+
+  return {
+    find: (name) => byName.get(name) || [],
+    size: Object.keys(files).length,
+    parsed,
+  };
+};
+
+module.exports = { CACHE_PATH, loadPresetIndex };
@@ -0,0 +1,139 @@
+const path = require('path');
+
+const cfg = require('./settings');
+
+// Resolves the printer(s) to sync from user-config.js.
+//
+// Either a PRINTERS array:
+//   PRINTERS: [
+//     { NAME: 'hi-left', PRINTER_IP: '192.168.1.50', PASSWORD: '...', PRINTER_INT_NAME: 'F008' },
+//     { NAME: 'k2', PRINTER_IP: '192.168.1.51', REMOTE_BOX_DIR: '/mnt/UDISK/creality/userdata/box' },
+//   ]
+// or the original single-printer keys (PRINTER_IP, PASSWORD, ...). Keys left out
+// of a PRINTERS entry fall back to the top-level value, then to the defaults below.
+
+const DEFAULT_REMOTE_SYNC_DIR = '/usr/share/Filament-Sync';
+const DEFAULT_REMOTE_BOX_DIR = '/mnt/UDISK/creality/userdata/box';
+const DEFAULT_PRINTER_INT_NAME = 'F008';
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+const DATA_DIR = path.join(PROJECT_ROOT, 'data');
+const BACKUP_DIR = path.join(PROJECT_ROOT, 'backups');
+
+const pick = (entry, ...keys) => {
+  for (const k of keys) {
+    if (entry[k] !== undefined && entry[k] !== null && entry[k] !== '') return entry[k];
+  }
+  return undefined;
+};
+
+// Folder-safe version of the printer name, used for per-printer data/backups.
+const slugify = (s) =>
+  String(s)
+    .trim()
+    .replace(/[^A-Za-z0-9._-]+/g, '_')
+    .replace(/^_+|_+$/g, '') || 'printer';
+
+const normalizePrinter = (entry, index, { multi }) => {
+  // Per-printer keys win, then top-level keys (shared credentials etc.)
+  const get = (...keys) => pick(entry, ...keys) ?? pick(cfg, ...keys);
+
+  // Support both upstream name (PRINTERIP) and our preferred PRINTER_IP
+  const host = pick(entry, 'PRINTER_IP', 'PRINTERIP', 'HOST', 'HOSTNAME') ??
+    (multi ? undefined : pick(cfg, 'PRINTER_IP', 'PRINTERIP', 'HOST', 'HOSTNAME'));
+  const name = String(pick(entry, 'NAME') ?? (multi ? host || `printer-${index + 1}` : host || 'printer'));
+
+  const boxDir = get('REMOTE_BOX_DIR') || DEFAULT_REMOTE_BOX_DIR;
+
+  return {
+    name,
+    // Only PRINTERS entries get their own data/backups sub-folder; the
+    // single-printer layout stays exactly as it was.
+    key: multi ? slugify(name) : null,
+    host,
+    port: Number(get('PORT') || 22),
+    username: get('USER') || 'root',
+    password: get('PASSWORD'),
+    privateKeyPath: get('PRIVATE_KEY', 'PRIVATE_KEY_PATH'),
+    passphrase: get('PASSPHRASE'),
+    agent: get('SSH_AGENT'),
+    tryKeyboard: Boolean(get('KEYBOARD_INTERACTIVE')),
+    hostFingerprint: get('HOST_FINGERPRINT'),
+    remoteDir: get('REMOTE_SYNC_DIR') || DEFAULT_REMOTE_SYNC_DIR,
+    boxDir,
+    dbPath: get('PRINTER_DB_PATH') || `${boxDir}/material_database.json`,
+    optPath: get('PRINTER_OPT_PATH') || `${boxDir}/material_option.json`,
+    printerIntName: String(get('PRINTER_INT_NAME', 'printerIntName') || DEFAULT_PRINTER_INT_NAME),
+    // Install the files into boxDir ourselves instead of via the printer-side service
+    directWrite: Boolean(get('DIRECT_WRITE')),
+    uiRestartCommand: get('UI_RESTART_COMMAND') || null,
+    // Slicer printer model (e.g. "Creality Hi"); presets for it get this printer's code
+    model: get('MODEL') || null,
+  };
+};
+
+const getPrinters = () => {
+  if (Array.isArray(cfg.PRINTERS) && cfg.PRINTERS.length) {
+    const printers = cfg.PRINTERS.map((entry, i) => normalizePrinter(entry || {}, i, { multi: true }));
+
+    const seen = new Set();
+    for (const p of printers) {
+      if (seen.has(p.key)) {
+        throw new Error(`Duplicate printer NAME "${p.name}" in PRINTERS. Each printer needs a unique NAME.`);
+      }
+      seen.add(p.key);
+    }
+    return printers;
+  }
+  return [normalizePrinter({}, 0, { multi: false })];
+};
+
+// Select printers by NAME (case-insensitive); no names means all of them.
+const selectPrinters = (names = []) => {
+  const printers = getPrinters();
+  if (!names.length) return printers;
+
+  const wanted = names.map((n) => String(n).toLowerCase());
+  const selected = printers.filter(
+    (p) => wanted.includes(p.name.toLowerCase()) || wanted.includes(String(p.key).toLowerCase())
+  );
+  const missing = wanted.filter(
+    (w) => !printers.some((p) => p.name.toLowerCase() === w || String(p.key).toLowerCase() === w)
+  );
+  if (missing.length) {
+    throw new Error(
+      `Unknown printer(s): ${missing.join(', ')}. Configured: ${printers.map((p) => p.name).join(', ')}`
+    );
+  }
+  return selected;
+};
+
+// --printer <name> / --printer=<name>, repeatable or comma-separated.
+const parsePrinterArgs = (argv) =>
+  argv
+    .flatMap((a, i) => (a === '--printer' ? [argv[i + 1]] : a.startsWith('--printer=') ? [a.slice(10)] : []))
+    .filter(Boolean)
+    .flatMap((a) => a.split(','))
+    .map((a) => a.trim())
+    .filter(Boolean);
+
+const hasCredentials = (printer) =>
+  Boolean(printer?.password || printer?.privateKeyPath || printer?.agent);
+
+// True when we have enough to open an SSH session (used to decide whether to
+// read the printer baseline or fall back to the repo copies).
+const canConnect = (printer) => Boolean(printer?.host && hasCredentials(printer));
+
+const getDataDir = (printer) => (printer?.key ? path.join(DATA_DIR, printer.key) : DATA_DIR);
+
+const getBackupDir = (printer) => (printer?.key ? path.join(BACKUP_DIR, printer.key) : BACKUP_DIR);
+
+module.exports = {
+  getPrinters,
+  selectPrinters,
+  parsePrinterArgs,
+  hasCredentials,
+  canConnect,
+  getDataDir,
+  getBackupDir,
+};
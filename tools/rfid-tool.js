@@ -0,0 +1,248 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const { getDataDir } = require('./printers');
+
+// Creality CFS RFID tags (MIFARE Classic 1K) for our custom filament ids.
+//
+// The tag layout and both keys below come from community reverse-engineering
+// of the CFS tags (e.g. the K2-RFID / "RFID for CFS" apps), not from Creality;
+// a firmware update could change them.
+//
+// Sector 1 (blocks 4-6) holds 48 ASCII characters, AES-128-ECB encrypted:
+//
+//   date      5  "AB124"
+//   vendor    4  "0276" (Creality)
+//   batch     2  "A2"
+//   filament  6  "1" + the 5-digit filament id from filament_notes
+//   color     7  "0" + RRGGBB
+//   length    4  metres of filament, e.g. "0330" for a 1 kg spool
+//   serial    6  spool serial number
+//   reserve  14  "0" * 14
+//
+// Sector 1 is locked with a key A derived from the tag UID; every other sector
+// keeps the factory key FFFFFFFFFFFF.
+
+const DATA_KEY = Buffer.from('H@CFkRnz@KAtBJp2', 'ascii');
+const UID_KEY = Buffer.from('q3bu^t1nqfZ(pf$1', 'ascii');
+
+const DEFAULT_DATE = 'AB124';
+const VENDOR_ID = '0276';
+const DEFAULT_BATCH = 'A2';
+const PAYLOAD_LENGTH = 48;
+
+const BLOCK_SIZE = 16;
+const BLOCKS = 64;
+const DATA_BLOCKS = [4, 5, 6];
+const TRAILER_BLOCK = 7;
+const DEFAULT_KEY = Buffer.from('ffffffffffff', 'hex');
+const ACCESS_BITS = Buffer.from('ff078069', 'hex');
+
+// Length codes the Creality apps use for 1.75 mm spools, by spool weight in grams.
+const SPOOL_LENGTHS = { 1000: 330, 750: 247, 600: 198, 500: 165, 250: 82 };
+const DEFAULT_METRES_PER_GRAM = 0.33;
+
+const aes = (mode, key, data) => {
+  const cipher = mode === 'encrypt'
+    ? crypto.createCipheriv('aes-128-ecb', key, null)
+    : crypto.createDecipheriv('aes-128-ecb', key, null);
+  cipher.setAutoPadding(false);
+  return Buffer.concat([cipher.update(data), cipher.final()]);
+};
+
+const parseUid = (uid) => {
+  const hex = String(uid ?? '').replace(/[\s:]/g, '');
+  if (!/^[0-9a-f]{8}$/i.test(hex)) {
+    throw new Error(`Tag UID must be 4 bytes of hex, e.g. 1A2B3C4D (got "${uid}").`);
+  }
+  return Buffer.from(hex, 'hex');
+};
+
+// Key A of sector 1: the UID repeated to 16 bytes, encrypted with UID_KEY, first 6 bytes.
+const sectorKey = (uid) => {
+  const bytes = Buffer.isBuffer(uid) ? uid : parseUid(uid);
+  const block = Buffer.alloc(BLOCK_SIZE);
+  for (let i = 0; i < BLOCK_SIZE; i++) block[i] = bytes[i % bytes.length];
+  return aes('encrypt', UID_KEY, block).subarray(0, 6);
+};
+
+const normalizeColor = (color) => {
+  const m = /^#?([0-9a-f]{6})$/i.exec(String(color ?? '').trim());
+  if (!m) throw new Error(`Color must be #RRGGBB (got "${color}").`);
+  return m[1].toUpperCase();
+};
+
+const pad = (value, width, what) => {
+  const s = String(value);
+  if (!/^\d+$/.test(s) || s.length > width) throw new Error(`${what} must be a number of at most ${width} digits (got "${value}").`);
+  return s.padStart(width, '0');
+};
+
+/**
+ * Metres of filament on a spool. The standard Creality weights use their own
+ * codes for 1.75 mm; anything else is worked out from grams per metre
+ * (base.weightPerMeter of the database entry) when known.
+ */
+const spoolLength = (weight, { diameter = 1.75, weightPerMeter = 0 } = {}) => {
+  const grams = Number(weight);
+  if (!Number.isFinite(grams) || grams <= 0) throw new Error(`Spool weight must be grams, e.g. 1000 (got "${weight}").`);
+  if (Number(diameter) === 1.75 && SPOOL_LENGTHS[grams]) return SPOOL_LENGTHS[grams];
+  return Math.round(weightPerMeter > 0 ? grams / weightPerMeter : grams * DEFAULT_METRES_PER_GRAM);
+};
+
+// Spool weight in grams for a length code (the reverse of spoolLength).
+const spoolWeight = (metres, { weightPerMeter = 0 } = {}) => {
+  const known = Object.entries(SPOOL_LENGTHS).find(([, m]) => m === metres);
+  if (known) return Number(known[0]);
+  return Math.round(weightPerMeter > 0 ? metres * weightPerMeter : metres / DEFAULT_METRES_PER_GRAM);
+};
+
+/**
+ * The 48-character plaintext for a spool.
+ *
+ * { id, color, length, serial, date, batch } - id is the 5-digit filament id,
+ * color "#RRGGBB", length in metres (see spoolLength).
+ */
+const buildPayload = ({ id, color, length, serial = 1, date = DEFAULT_DATE, batch = DEFAULT_BATCH }) => {
+  if (!/^\d{5}$/.test(String(id ?? ''))) throw new Error(`Filament id must be 5 digits (got "${id}").`);
+  if (String(date).length !== 5 || String(batch).length !== 2) throw new Error('date must be 5 and batch 2 characters.');
+  const payload = [
+    date,
+    VENDOR_ID,
+    batch,
+    `1${id}`,
+    `0${normalizeColor(color)}`,
+    pad(length, 4, 'Length'),
+    pad(serial, 6, 'Serial'),
+    '0'.repeat(14),
+  ].join('');
+  if (payload.length !== PAYLOAD_LENGTH) throw new Error(`Payload is ${payload.length} characters, expected ${PAYLOAD_LENGTH}.`);
+  return payload;
+};
+
+const parsePayload = (payload) => {
+  const s = String(payload);
+  if (s.length !== PAYLOAD_LENGTH || !/^[\x20-\x7e]+$/.test(s)) return null;
+  const fields = {
+    date: s.slice(0, 5),
+    vendor: s.slice(5, 9),
+    batch: s.slice(9, 11),
+    id: s.slice(12, 17),
+    color: `#${s.slice(18, 24)}`,
+    length: Number(s.slice(24, 28)),
+    serial: s.slice(28, 34),
+  };
+  return /^\d{5}$/.test(fields.id) && /^#[0-9A-F]{6}$/i.test(fields.color) ? fields : null;
+};
+
+const encryptPayload = (payload) => aes('encrypt', DATA_KEY, Buffer.from(payload, 'ascii'));
+const decryptPayload = (data) => aes('decrypt', DATA_KEY, data).toString('latin1');
+
+/**
+ * A full 1K dump (1024 bytes, the .mfd layout used by libnfc's nfc-mfclassic
+ * and the NFC Tools / MIFARE Classic Tool apps) for a tag with this UID.
+ * Block 0 only matters for "magic" tags that allow rewriting the UID.
+ */
+const buildDump = (payload, uid) => {
+  const uidBytes = parseUid(uid);
+  const dump = Buffer.alloc(BLOCKS * BLOCK_SIZE);
+
+  const bcc = uidBytes.reduce((x, b) => x ^ b, 0);
+  Buffer.concat([uidBytes, Buffer.from([bcc, 0x08, 0x04, 0x00])]).copy(dump, 0);
+
+  encryptPayload(payload).copy(dump, DATA_BLOCKS[0] * BLOCK_SIZE);
+
+  for (let sector = 0; sector < BLOCKS / 4; sector++) {
+    const keyA = sector === 1 ? sectorKey(uidBytes) : DEFAULT_KEY;
+    Buffer.concat([keyA, ACCESS_BITS, DEFAULT_KEY]).copy(dump, (sector * 4 + 3) * BLOCK_SIZE);
+  }
+  return dump;
+};
+
+const blocksOf = (dump) => {
+  const out = [];
+  for (let i = 0; i < dump.length / BLOCK_SIZE; i++) out.push(dump.subarray(i * BLOCK_SIZE, (i + 1) * BLOCK_SIZE));
+  return out;
+};
+
+// MIFARE Classic Tool's text format: "+Sector: n" then one hex line per block.
+const dumpToText = (dump) =>
+  blocksOf(dump)
+    .map((b, i) => `${i % 4 === 0 ? `+Sector: ${i / 4}\n` : ''}${b.toString('hex').toUpperCase()}`)
+    .join('\n') + '\n';
+
+/**
+ * Read a dumped tag: a binary .mfd (1024 bytes), a MIFARE Classic Tool / hex
+ * text dump of the whole tag, or just the 48 data bytes of blocks 4-6 as hex.
+ * Unknown blocks ("--------") read as zeros.
+ *
+ * Returns { uid, data, trailer } (uid/trailer are null when not in the dump).
+ */
+const readDump = (buf) => {
+  const text = buf.toString('latin1');
+  let bytes = buf;
+  if (!(buf.length === BLOCKS * BLOCK_SIZE && !/^[\s0-9a-f+:Sector-]+$/i.test(text))) {
+    const hex = text
+      .split(/\r?\n/)
+      .filter((l) => !l.trim().startsWith('+'))
+      .join('')
+      .replace(/-/g, '0')
+      .replace(/[^0-9a-f]/gi, '');
+    bytes = Buffer.from(hex, 'hex');
+  }
+
+  if (bytes.length === DATA_BLOCKS.length * BLOCK_SIZE) return { uid: null, data: bytes, trailer: null };
+  if (bytes.length < (TRAILER_BLOCK + 1) * BLOCK_SIZE) {
+    throw new Error(`Not a tag dump: ${bytes.length} bytes (expected the full 1K dump or the 48 bytes of blocks 4-6).`);
+  }
+  return {
+    uid: bytes.subarray(0, 4).toString('hex').toUpperCase(),
+    data: bytes.subarray(DATA_BLOCKS[0] * BLOCK_SIZE, (TRAILER_BLOCK) * BLOCK_SIZE),
+    trailer: bytes.subarray(TRAILER_BLOCK * BLOCK_SIZE, (TRAILER_BLOCK + 1) * BLOCK_SIZE),
+  };
+};
+
+/**
+ * Decode a dump. Returns { uid, keyOk, encrypted, payload, fields } where
+ * `fields` is null when the data is not a CFS payload. Tags written in the
+ * clear are accepted too.
+ */
+const decodeDump = (buf) => {
+  const { uid, data, trailer } = readDump(buf);
+  const keyOk = uid && trailer && !trailer.subarray(0, 6).equals(Buffer.alloc(6))
+    ? trailer.subarray(0, 6).equals(sectorKey(uid))
+    : null;
+
+  const plain = data.toString('latin1');
+  if (parsePayload(plain)) return { uid, keyOk, encrypted: false, payload: plain, fields: parsePayload(plain) };
+
+  const payload = decryptPayload(data);
+  return { uid, keyOk, encrypted: true, payload: parsePayload(payload) ? payload : null, fields: parsePayload(payload) };
+};
+
+// The material_database.json a printer was last built with (./data), or the
+// firmware's stock copy.
+const loadLocalEntries = (printer) => {
+  const built = path.join(getDataDir(printer), 'material_database.json');
+  const p = fs.existsSync(built) ? built : path.join(__dirname, 'sourcedata', 'material_database.json');
+  const list = JSON.parse(fs.readFileSync(p, 'utf8'))?.result?.list;
+  return { path: p, list: Array.isArray(list) ? list.filter((m) => m?.base?.id) : [] };
+};
+
+const findEntry = (list, id) => list.find((m) => String(m.base.id) === String(id)) || null;
+
+module.exports = {
+  SPOOL_LENGTHS,
+  sectorKey,
+  spoolLength,
+  spoolWeight,
+  buildPayload,
+  parsePayload,
+  encryptPayload,
+  buildDump,
+  dumpToText,
+  decodeDump,
+  loadLocalEntries,
+  findEntry,
+};
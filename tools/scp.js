@@ -1,131 +1,191 @@
 const fs = require('fs');
 const path = require('path');
 
-const cfg = require('../user-config');
-const {
-  DEBUG,
-  dlog,
-  connectSSH,
-  exec,
-  readRemoteFile,
-  writeRemoteFileAtomic,
-} = require('./ssh-util');
-
-// Local project paths
-const PROJECT_ROOT = path.join(__dirname, '..');
-const DATA_DIR = path.join(PROJECT_ROOT, 'data');
-const BACKUP_DIR = path.join(PROJECT_ROOT, 'backups');
-
-const nowStamp = () => {
-  const d = new Date();
-  const pad = (n) => String(n).padStart(2, '0');
-  return (
-    d.getFullYear() +
-    pad(d.getMonth() + 1) +
-    pad(d.getDate()) +
-    '_' +
-    pad(d.getHours()) +
-    pad(d.getMinutes()) +
-    pad(d.getSeconds())
-  );
-};
-
-const getPrinterConfig = () => {
-  // Support both upstream name (PRINTERIP) and our preferred PRINTER_IP
-  const host = cfg.PRINTER_IP || cfg.PRINTERIP || cfg.HOST || cfg.HOSTNAME;
-  const port = Number(cfg.PORT || 22);
-  const username = cfg.USER || 'root';
-  const password = cfg.PASSWORD;
-
-  // Default to the service watch folder.
-  const remoteDir = cfg.REMOTE_SYNC_DIR || '/usr/share/Filament-Sync';
-
-  if (!host) {
+const { MANIFEST_NAME } = require('./manifest');
+const { getPrinters, hasCredentials, getDataDir } = require('./printers');
+const { backupRemoteFiles } = require('./backup-tool');
+const { BOX_FILES, installedPath, writeBoxFiles, restartUi } = require('./box-write');
+const { dlog, shellQuote } = require('./ssh-util');
+const { withSession } = require('./session');
+const { verifyRemoteFile } = require('./verify-tool');
+
+// Upload settings are only validated here, when we actually upload.
+const assertUploadConfig = (printer) => {
+  if (!printer.host) {
     throw new Error(
-      'Missing printer host/IP. Set PRINTER_IP (recommended) or PRINTERIP in user-config.js'
+      `Missing printer host/IP for "${printer.name}". Set PRINTER_IP (recommended) or PRINTERIP in user-config.js`
     );
   }
-  if (!password) {
-    throw new Error('Missing printer password. Set PASSWORD in user-config.js');
+  if (!hasCredentials(printer)) {
+    throw new Error(
+      `Missing printer credentials for "${printer.name}". Set PASSWORD, PRIVATE_KEY or SSH_AGENT in user-config.js`
+    );
   }
-
-  return { host, port, username, password, remoteDir };
+  return printer;
 };
 
 const ensureLocalDir = (dir) => {
   if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
 };
 
-const backupRemoteFiles = async (conn, remoteDir, filenames) => {
-  const doBackup =
-    process.env.FILAMENT_SYNC_BACKUP !== '0' &&
-    process.env.FILAMENT_SYNC_BACKUP !== 'false';
+const syncedIds = (manifestData) => {
+  try {
+    // One id can be listed under several names (per-nozzle / per-model presets)
+    return [...new Set((JSON.parse(manifestData.toString('utf8')).filaments || []).map((f) => String(f.id)))];
+  } catch {
+    return [];
+  }
+};
 
-  if (!doBackup) return;
+// The remote copies of `names` in `dir`, checked against the local bytes.
+const verifyUpload = async (s, dir, names, uploaded) => {
+  const ids = syncedIds(uploaded[MANIFEST_NAME]);
+  const problems = [];
+  for (const name of names) {
+    const remotePath = `${dir}/${name}`;
+    const res = await verifyRemoteFile(s, remotePath, uploaded[name], {
+      ids: name === 'material_database.json' ? ids : [],
+    });
+    for (const p of res.problems) problems.push(`${remotePath}: ${p}`);
+  }
+  return problems;
+};
 
-  ensureLocalDir(BACKUP_DIR);
-  const stamp = nowStamp();
-  const outDir = path.join(BACKUP_DIR, stamp);
-  ensureLocalDir(outDir);
+// Remote path -> its content before the upload, or null when it doesn't exist.
+// Kept in memory, so a failed upload can be undone with backups off or on the
+// first upload too.
+const snapshotRemote = async (s, remotePaths) => {
+  const snapshot = new Map();
+  for (const remotePath of remotePaths) {
+    const exists = (await s.exec(`[ -f ${shellQuote(remotePath)} ]`)).code === 0;
+    snapshot.set(remotePath, exists ? await s.readRemoteFile(remotePath) : null);
+  }
+  return snapshot;
+};
 
-  for (const name of filenames) {
-    const remotePath = `${remoteDir}/${name}`;
+// Put each of the `written` paths back the way the snapshot has it; ones that
+// didn't exist before the upload are removed. One failure doesn't stop the rest.
+const rollBack = async (s, printer, snapshot, written) => {
+  const restored = [];
+  const removed = [];
+  const failed = [];
+  for (const remotePath of written) {
+    const data = snapshot.get(remotePath);
     try {
-      const content = await readRemoteFile(conn, remotePath);
-      const localPath = path.join(outDir, name);
-      fs.writeFileSync(localPath, content, 'utf8');
-      if (DEBUG) dlog(`backup: saved ${remotePath} -> ${localPath}`);
+      if (data === null) {
+        dlog(`rollback: rm ${remotePath}`);
+        const res = await s.exec(`rm -f ${shellQuote(remotePath)}`);
+        if (res.code !== 0) throw new Error((res.stderr || res.stdout).trim() || `exit ${res.code}`);
+        removed.push(remotePath);
+        continue;
+      }
+      dlog(`rollback: ${remotePath} (${data.length} bytes)`);
+      const name = path.posix.basename(remotePath);
+      if (printer.directWrite && remotePath === `${printer.boxDir}/${name}`) {
+        await writeBoxFiles(s, printer, { [name]: data }, { restart: false });
+      } else {
+        await s.writeRemoteFileAtomic(remotePath, data);
+      }
+      restored.push(remotePath);
     } catch (e) {
-      // Remote file may not exist yet; that's fine.
-      if (DEBUG) dlog(`backup: skip ${remotePath} (${e.message.split('\n')[0]})`);
+      if (e.code === 'PRINTER_UNREACHABLE') throw e;
+      failed.push(`${remotePath} (${e.message.split('\n')[0]})`);
     }
   }
+  return { restored, removed, failed };
 };
 
-const uploadFiles = async ({ remoteDir }) => {
-  ensureLocalDir(DATA_DIR);
-
-  const filenames = ['material_database.json', 'material_option.json'];
+// Undo an upload that failed part-way; returns what happened, for the error.
+const rollBackOutcome = async (s, printer, snapshot, written, backup) => {
+  try {
+    const { restored, removed, failed } = await rollBack(s, printer, snapshot, written);
+    let outcome = [
+      restored.length ? `Put back the previous ${restored.join(', ')}.` : '',
+      removed.length ? `Removed ${removed.join(', ')} (not on the printer before).` : '',
+      failed.length ? `Couldn't roll back ${failed.join(', ')}.` : '',
+    ]
+      .filter(Boolean)
+      .join(' ');
+    if (failed.length && backup) outcome += ` Run "filament-sync restore ${backup.stamp}".`;
+    return outcome;
+  } catch (e) {
+    let outcome = `Rolling back failed too (${e.message.split('\n')[0]}).`;
+    if (backup) outcome += ` Run "filament-sync restore ${backup.stamp}".`;
+    return outcome;
+  }
+};
 
-  const { host, port, username, password } = getPrinterConfig();
+const uploadFiles = async (printer, { session } = {}) => {
+  const { remoteDir } = assertUploadConfig(printer);
+  const dataDir = getDataDir(printer);
+  ensureLocalDir(dataDir);
 
-  dlog(`Connecting to ${username}@${host}:${port} ...`);
+  // The manifest goes last so it only claims ids once both files are in place.
+  const filenames = ['material_database.json', 'material_option.json', MANIFEST_NAME];
 
-  const conn = await connectSSH({ host, port, username, password });
+  // Read everything before the first remote write, so a missing file can't
+  // leave the printer with half an upload
+  const uploaded = {};
+  for (const name of filenames) {
+    const localPath = path.join(dataDir, name);
+    if (!fs.existsSync(localPath)) {
+      throw new Error(`Local file missing: ${localPath}\nDid main.js generate it?`);
+    }
+    uploaded[name] = fs.readFileSync(localPath);
+  }
 
-  try {
+  await withSession(printer, session, async (s) => {
     // Ensure remote dir exists
     dlog(`exec: mkdir -p ${remoteDir}`);
-    await exec(conn, `mkdir -p '${remoteDir.replace(/'/g, "'\\''")}'`);
+    await s.exec(`mkdir -p ${shellQuote(remoteDir)}`);
 
-    // Backup current remote copies (optional)
-    await backupRemoteFiles(conn, remoteDir, filenames);
+    // Backup current remote copies (optional), for "filament-sync restore"
+    const backup = await backupRemoteFiles(s, remoteDir, filenames.map((name) => installedPath(printer, name)), printer);
 
-    // Upload
-    for (const name of filenames) {
-      const localPath = path.join(DATA_DIR, name);
-      const remotePath = `${remoteDir}/${name}`;
+    // What a failed upload rolls back to
+    const boxPaths = printer.directWrite ? BOX_FILES.map((name) => `${printer.boxDir}/${name}`) : [];
+    const snapshot = await snapshotRemote(s, [...filenames.map((name) => `${remoteDir}/${name}`), ...boxPaths]);
+    const written = [];
 
-      if (!fs.existsSync(localPath)) {
-        throw new Error(`Local file missing: ${localPath}\nDid main.js generate it?`);
+    let problems;
+    try {
+      // Upload
+      for (const name of filenames) {
+        const remotePath = `${remoteDir}/${name}`;
+        dlog(`Uploading ${name} (${uploaded[name].length} bytes) -> ${remotePath}`);
+        written.push(remotePath);
+        await s.writeRemoteFileAtomic(remotePath, uploaded[name]);
       }
 
-      const data = fs.readFileSync(localPath);
-      dlog(`Uploading ${name} (${data.length} bytes) -> ${remotePath}`);
-      await writeRemoteFileAtomic(conn, remotePath, data);
+      problems = await verifyUpload(s, remoteDir, filenames, uploaded);
 
-      const verify = await exec(conn, `ls -l '${remotePath.replace(/'/g, "'\\''")}' || true`);
-      if (DEBUG) dlog('verify:', (verify.stdout || verify.stderr || '').trim());
+      // DIRECT_WRITE: install into the box folder only once the upload checks out
+      // (the copy in REMOTE_SYNC_DIR stays for status/restore), and restart the
+      // screen app only once those check out too
+      if (!problems.length && printer.directWrite) {
+        written.push(...boxPaths);
+        await writeBoxFiles(s, printer, uploaded, { restart: false });
+        problems = await verifyUpload(s, printer.boxDir, BOX_FILES, uploaded);
+      }
+    } catch (e) {
+      e.message += `\n${await rollBackOutcome(s, printer, snapshot, written, backup)}`;
+      throw e;
     }
 
-    dlog('Upload complete.');
-  } finally {
-    conn.end();
-  }
+    if (problems.length) {
+      const outcome = await rollBackOutcome(s, printer, snapshot, written, backup);
+      throw new Error(`Upload to ${printer.name} failed verification:\n  ${problems.join('\n  ')}\n${outcome}`);
+    }
+
+    if (printer.directWrite) await restartUi(s, printer);
+    dlog('Upload complete and verified.');
+  });
 };
 
 // Upstream compatibility: main.js expects require('./tools/scp.js') to be callable.
-const sendFiles = async () => uploadFiles(getPrinterConfig());
+// With no argument this uploads to the first (or only) configured printer.
+const sendFiles = async (printer = getPrinters()[0], opts) => uploadFiles(printer, opts);
 
 module.exports = sendFiles;
 module.exports.sendFiles = sendFiles;
+module.exports.assertUploadConfig = assertUploadConfig;
@@ -0,0 +1,181 @@
+const fs = require('fs');
+const path = require('path');
+
+const { shellQuote } = require('./ssh-util');
+const { withSession } = require('./session');
+
+// Installs, checks and removes the printer-side service that copies the files
+// we upload to REMOTE_SYNC_DIR into REMOTE_BOX_DIR, where the printer reads them.
+//
+// The service is a small sh loop (tools/service/filament-sync-service.sh)
+// started by an init script: a procd unit on OpenWrt-style firmware
+// (/etc/rc.common present), otherwise a plain /etc/init.d/S99 script.
+
+const DEBUG =
+  process.env.FILAMENT_SYNC_DEBUG === '1' ||
+  process.env.FILAMENT_SYNC_DEBUG === 'true';
+
+const log = (...args) => console.log('[Filament-Sync][service]', ...args);
+const dlog = (...args) => {
+  if (DEBUG) log(...args);
+};
+
+const TEMPLATE_DIR = path.join(__dirname, 'service');
+const SCRIPT_NAME = 'filament-sync-service.sh';
+const INTERVAL_S = 5;
+
+const INIT = {
+  procd: { path: '/etc/init.d/filament-sync', template: 'filament-sync.procd' },
+  sysv: { path: '/etc/init.d/S99filament-sync', template: 'filament-sync.sysv' },
+};
+
+const scriptPath = (printer) => `${printer.remoteDir}/${SCRIPT_NAME}`;
+
+// Fills @KEY@ placeholders; values are shell-quoted, so templates use them bare.
+const render = (template, values) =>
+  fs
+    .readFileSync(path.join(TEMPLATE_DIR, template), 'utf8')
+    .replace(/\r\n/g, '\n')
+    .replace(/@([A-Z_]+)@/g, (m, key) => (values[key] === undefined ? m : shellQuote(values[key])));
+
+const run = async (s, command) => {
+  dlog(`exec: ${command}`);
+  const res = await s.exec(command);
+  if (res.code !== 0) {
+    throw new Error(`"${command}" failed on the printer (exit ${res.code}): ${(res.stderr || res.stdout).trim()}`);
+  }
+  return res.stdout.trim();
+};
+
+const detectInit = async (s) => ((await run(s, '[ -f /etc/rc.common ] && echo procd || echo sysv')) === 'procd' ? 'procd' : 'sysv');
+
+/**
+ * Push the service script and init unit, enable and (re)start them.
+ * Returns { kind, script, init } with the remote paths.
+ */
+const installService = async (printer, { session, dryRun = false } = {}) =>
+  withSession(printer, session, async (s) => {
+    const kind = await detectInit(s);
+    const init = INIT[kind];
+    const script = scriptPath(printer);
+    const result = { kind, script, init: init.path };
+
+    if (dryRun) {
+      log(`${printer.name}: would install ${script} and ${init.path} (${kind}) and start them.`);
+      return result;
+    }
+
+    const q = shellQuote;
+    await run(s, `mkdir -p ${q(printer.remoteDir)}`);
+    await s.writeRemoteFileAtomic(
+      script,
+      render(SCRIPT_NAME, { SYNC_DIR: printer.remoteDir, BOX_DIR: printer.boxDir, INTERVAL: INTERVAL_S })
+    );
+    await s.writeRemoteFileAtomic(init.path, render(init.template, { SCRIPT: script }));
+    await run(s, `chmod 755 ${q(script)} ${q(init.path)}`);
+
+    // The sysv script is enabled by its S99 name; procd needs the rc.d link
+    if (kind === 'procd') await run(s, `${q(init.path)} enable`);
+    await run(s, `${q(init.path)} restart`);
+    log(`${printer.name}: installed ${init.path} (${kind}) running ${script}.`);
+    return result;
+  });
+
+const installedInit = async (s) => {
+  for (const [kind, init] of Object.entries(INIT)) {
+    const res = await s.exec(`[ -f ${shellQuote(init.path)} ]`);
+    if (res.code === 0) return { kind, ...init };
+  }
+  return null;
+};
+
+const readVersion = async (s, remotePath) => {
+  try {
+    return JSON.parse(await s.readRemoteFile(remotePath))?.result?.version ?? null;
+  } catch (e) {
+    if (e.code === 'PRINTER_UNREACHABLE') throw e;
+    return null;
+  }
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Check that the service is installed, enabled and running, and that the
+ * printer's box-dir database has the version we last uploaded. Waits up to
+ * `waitMs` for a fresh upload to be picked up.
+ *
+ * Returns { ok, checks: [{ name, ok, detail }] }.
+ */
+const verifyService = async (printer, { session, waitMs = INTERVAL_S * 3000 } = {}) =>
+  withSession(printer, session, async (s) => {
+    const checks = [];
+    const check = (name, ok, detail) => checks.push({ name, ok, detail });
+
+    const script = scriptPath(printer);
+    check('script', (await s.exec(`[ -f ${shellQuote(script)} ]`)).code === 0, script);
+
+    const init = await installedInit(s);
+    check('init script', !!init, init ? `${init.path} (${init.kind})` : `none of ${Object.values(INIT).map((i) => i.path).join(', ')}`);
+    if (init) {
+      const enabled =
+        init.kind === 'procd'
+          ? (await s.exec(`${shellQuote(init.path)} enabled`)).code === 0
+          : (await s.exec(`[ -x ${shellQuote(init.path)} ]`)).code === 0;
+      check('enabled at boot', enabled, init.path);
+    }
+
+    const ps = await s.exec('ps axww 2>/dev/null || ps w 2>/dev/null || ps');
+    check('running', ps.stdout.includes(SCRIPT_NAME), SCRIPT_NAME);
+
+    const uploaded = await readVersion(s, `${printer.remoteDir}/material_database.json`);
+    let ingested = await readVersion(s, printer.dbPath);
+    const deadline = Date.now() + waitMs;
+    while (uploaded !== null && Number(ingested) < Number(uploaded) && Date.now() < deadline) {
+      dlog(`Waiting for the printer to pick up version ${uploaded} (has ${ingested}) ...`);
+      await sleep(1000);
+      ingested = await readVersion(s, printer.dbPath);
+    }
+    if (uploaded === null) {
+      check('picked up the upload', true, `nothing uploaded to ${printer.remoteDir} yet`);
+    } else {
+      check(
+        'picked up the upload',
+        Number(ingested) >= Number(uploaded),
+        `uploaded version ${uploaded}, ${printer.dbPath} has ${ingested ?? 'none'}`
+      );
+    }
+
+    return { ok: checks.every((c) => c.ok), checks };
+  });
+
+/**
+ * Stop and remove the service. The synced files in REMOTE_SYNC_DIR and the
+ * printer's own database are left alone.
+ */
+const uninstallService = async (printer, { session, dryRun = false } = {}) =>
+  withSession(printer, session, async (s) => {
+    const script = scriptPath(printer);
+    const removed = [];
+    const q = shellQuote;
+
+    for (const [kind, init] of Object.entries(INIT)) {
+      if ((await s.exec(`[ -f ${q(init.path)} ]`)).code !== 0) continue;
+      removed.push(init.path);
+      if (dryRun) continue;
+      await s.exec(`${q(init.path)} stop`);
+      if (kind === 'procd') await s.exec(`${q(init.path)} disable`);
+      await run(s, `rm -f ${q(init.path)}`);
+    }
+
+    if ((await s.exec(`[ -f ${q(script)} ]`)).code === 0) {
+      removed.push(script);
+      if (!dryRun) await run(s, `rm -f ${q(script)}`);
+    }
+
+    if (!removed.length) log(`${printer.name}: the service is not installed.`);
+    else log(`${printer.name}: ${dryRun ? 'would remove' : 'removed'} ${removed.join(', ')}`);
+    return { removed };
+  });
+
+module.exports = { installService, verifyService, uninstallService };
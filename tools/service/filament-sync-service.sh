@@ -0,0 +1,30 @@
+#!/bin/sh
+# Filament-Sync service, installed by `filament-sync install-service`.
+#
+# Copies material_database.json / material_option.json uploaded to SYNC_DIR
+# into the printer's BOX_DIR whenever the upload is newer than the printer's
+# copy. Runs once at boot and then every INTERVAL seconds.
+
+SYNC_DIR=@SYNC_DIR@
+BOX_DIR=@BOX_DIR@
+INTERVAL=@INTERVAL@
+
+ingest() {
+  for name in material_database.json material_option.json; do
+    src="$SYNC_DIR/$name"
+    dst="$BOX_DIR/$name"
+    [ -s "$src" ] || continue
+    if [ -f "$dst" ] && [ ! "$src" -nt "$dst" ]; then
+      continue
+    fi
+    mkdir -p "$BOX_DIR" &&
+      cp "$src" "$dst.tmp" &&
+      mv -f "$dst.tmp" "$dst" &&
+      echo "filament-sync: installed $name into $BOX_DIR"
+  done
+}
+
+while true; do
+  ingest
+  sleep "$INTERVAL"
+done
@@ -0,0 +1,146 @@
+const {
+  dlog,
+  connectSSH,
+  exec,
+  readRemoteFile,
+  writeRemoteFileAtomic,
+} = require('./ssh-util');
+
+// One SSH connection per printer per run. Dropbear on the Creality Hi limits
+// concurrent sessions, and every handshake is slow, so the pipeline opens the
+// connection lazily, shares it between the baseline reads and the upload, and
+// reconnects (with backoff) if it drops mid-run.
+
+const DEFAULT_RETRIES = 3;
+const DEFAULT_BASE_DELAY_MS = 1000;
+
+const NETWORK_CODES = new Set([
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'EHOSTUNREACH',
+  'ENETUNREACH',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'ETIMEDOUT',
+  'EPIPE',
+]);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Errors worth retrying: the network or the connection, not auth or host keys.
+const isConnectionError = (err) => {
+  if (!err) return false;
+  if (NETWORK_CODES.has(err.code)) return true;
+  if (err.level === 'client-socket' || err.level === 'client-timeout') return true;
+  return /Not connected|No response from server|Timed out while waiting for handshake|Connection lost/i.test(
+    String(err.message || '')
+  );
+};
+
+const describeTarget = (printer) => `"${printer.name}" (${printer.username}@${printer.host}:${printer.port})`;
+
+const createSession = (printer, { retries = DEFAULT_RETRIES, baseDelayMs = DEFAULT_BASE_DELAY_MS } = {}) => {
+  let conn = null;
+  let connecting = null;
+  let unreachable = null;
+  let closed = false;
+
+  const connectWithBackoff = async () => {
+    let lastErr;
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      if (attempt > 0) {
+        const delay = baseDelayMs * 2 ** (attempt - 1);
+        dlog(`Reconnecting to ${printer.host} in ${delay}ms (attempt ${attempt + 1}/${retries + 1}) ...`);
+        await sleep(delay);
+      }
+      try {
+        dlog(`Connecting to ${printer.username}@${printer.host}:${printer.port} ...`);
+        const c = await connectSSH(printer);
+        c.on('close', () => {
+          if (conn === c) {
+            dlog(`Connection to ${printer.host} closed.`);
+            conn = null;
+          }
+        });
+        // Late socket errors are surfaced through the next operation instead
+        c.on('error', (err) => dlog(`Connection error (${printer.host}): ${err.message}`));
+        return c;
+      } catch (err) {
+        lastErr = err;
+        if (!isConnectionError(err)) throw err;
+      }
+    }
+
+    const reason = String(lastErr?.message || lastErr).split('\n')[0];
+    unreachable = new Error(
+      `Printer ${describeTarget(printer)} is unreachable after ${retries + 1} attempt(s): ${reason}\n` +
+        'Check that it is powered on, on the same network, and that PRINTER_IP/PORT are correct.'
+    );
+    unreachable.code = 'PRINTER_UNREACHABLE';
+    throw unreachable;
+  };
+
+  const connect = async () => {
+    if (closed) throw new Error(`SSH session for ${describeTarget(printer)} is already closed.`);
+    // Don't spend another round of backoff on a printer we already gave up on
+    if (unreachable) throw unreachable;
+    if (conn) return conn;
+    if (!connecting) {
+      connecting = connectWithBackoff()
+        .then((c) => {
+          conn = c;
+          return c;
+        })
+        .finally(() => {
+          connecting = null;
+        });
+    }
+    return connecting;
+  };
+
+  // Run fn(conn); if the connection dropped underneath it, reconnect and retry once.
+  const run = async (fn) => {
+    const c = await connect();
+    try {
+      return await fn(c);
+    } catch (err) {
+      const dropped = conn !== c;
+      if (!dropped && !isConnectionError(err)) throw err;
+
+      dlog(`Connection to ${printer.host} dropped (${String(err.message).split('\n')[0]}); retrying.`);
+      if (conn === c) conn = null;
+      c.end();
+      return fn(await connect());
+    }
+  };
+
+  const close = () => {
+    closed = true;
+    if (conn) conn.end();
+    conn = null;
+  };
+
+  return {
+    printer,
+    connect,
+    run,
+    close,
+    exec: (command, opts) => run((c) => exec(c, command, opts)),
+    readRemoteFile: (remotePath) => run((c) => readRemoteFile(c, remotePath)),
+    writeRemoteFileAtomic: (remotePath, content, opts) =>
+      run((c) => writeRemoteFileAtomic(c, remotePath, content, opts)),
+  };
+};
+
+// Use the caller's session when given; otherwise open a short-lived one for fn.
+const withSession = async (printer, session, fn) => {
+  if (session) return fn(session);
+  const own = createSession(printer);
+  try {
+    return await fn(own);
+  } finally {
+    own.close();
+  }
+};
+
+module.exports = { createSession, withSession, isConnectionError };
@@ -0,0 +1,10 @@
+const path = require('path');
+
+// The user's settings: ./user-config.js, or the file named by FILAMENT_SYNC_CONFIG
+// (set by `filament-sync --config <file>`). Read once, on first require.
+
+const CONFIG_PATH = process.env.FILAMENT_SYNC_CONFIG
+  ? path.resolve(process.env.FILAMENT_SYNC_CONFIG)
+  : path.join(__dirname, '..', 'user-config.js');
+
+module.exports = require(CONFIG_PATH);
@@ -0,0 +1,121 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Where Creality Print and OrcaSlicer keep their profiles on each OS.
+// Shared by the sync (tools/config.js) and the base-preset expander, so this
+// module must not depend on user-config.js.
+
+const getOSInfo = () => {
+  return {
+    osType: os.type(),
+    homeDir: os.userInfo().homedir,
+  };
+};
+
+const isDir = (p) => {
+  try {
+    return fs.statSync(p).isDirectory();
+  } catch {
+    return false;
+  }
+};
+
+const assertSlicer = (slicer) => {
+  if (slicer !== 'orca' && slicer !== 'creality') {
+    throw new Error(
+      `Invalid SLICER value: "${slicer}". Expected "orca" or "creality".`
+    );
+  }
+};
+
+// The slicer's config folder: ".../Creality/Creality Print" (which holds one
+// folder per version) or ".../OrcaSlicer".
+const getSlicerBaseDir = ({ osType, homeDir, slicer }) => {
+  assertSlicer(slicer);
+
+  const parts = slicer === 'orca' ? ['OrcaSlicer'] : ['Creality', 'Creality Print'];
+
+  if (osType === 'Windows_NT') {
+    // Honour a redirected %APPDATA% (roaming profiles) when it is set
+    const appData = process.env.APPDATA || path.join(homeDir, 'AppData', 'Roaming');
+    return path.join(appData, ...parts);
+  }
+  if (osType === 'Darwin') {
+    return path.join(homeDir, 'Library', 'Application Support', ...parts);
+  }
+  if (osType === 'Linux') {
+    return path.join(homeDir, '.config', ...parts);
+  }
+
+  throw new Error(`Unsupported OS type: ${osType}`);
+};
+
+// Numeric version folders ("6.0", "7.0", ...) under the Creality Print dir.
+const listCrealityVersions = (crealityPrintBaseDir) => {
+  if (!isDir(crealityPrintBaseDir)) return [];
+  return fs
+    .readdirSync(crealityPrintBaseDir, { withFileTypes: true })
+    .filter((e) => e.isDirectory())
+    .map((e) => e.name)
+    .filter((n) => /^\d+(\.\d+)*$/.test(n));
+};
+
+// Try "6.0" first (as documented), otherwise pick highest numeric version folder if present.
+const pickCrealityVersionDir = (crealityPrintBaseDir) => {
+  const preferred = path.join(crealityPrintBaseDir, '6.0');
+  if (isDir(preferred)) return preferred;
+
+  const versionDirs = listCrealityVersions(crealityPrintBaseDir);
+  if (!versionDirs.length) return null;
+
+  // Sort descending by numeric components
+  versionDirs.sort((a, b) => {
+    const pa = a.split('.').map(Number);
+    const pb = b.split('.').map(Number);
+    const len = Math.max(pa.length, pb.length);
+    for (let i = 0; i < len; i++) {
+      const da = pa[i] || 0;
+      const db = pb[i] || 0;
+      if (da !== db) return db - da;
+    }
+    return 0;
+  });
+
+  return path.join(crealityPrintBaseDir, versionDirs[0]);
+};
+
+const getFilamentRootDir = ({ osType, homeDir, slicer, userId }) => {
+  const base = getSlicerBaseDir({ osType, homeDir, slicer });
+
+  if (slicer === 'orca') {
+    return path.join(base, 'user', userId, 'filament');
+  }
+
+  const verDir = pickCrealityVersionDir(base);
+  if (!verDir) return null;
+  return path.join(verDir, 'user', userId, 'filament');
+};
+
+// Every user filament folder the expander works on: OrcaSlicer's, or the one in
+// each Creality Print version folder that has it.
+const listFilamentRootDirs = ({ osType, homeDir, slicer, userId }) => {
+  const base = getSlicerBaseDir({ osType, homeDir, slicer });
+
+  if (slicer === 'orca') {
+    return [path.join(base, 'user', userId, 'filament')];
+  }
+
+  return listCrealityVersions(base)
+    .map((v) => path.join(base, v, 'user', userId, 'filament'))
+    .filter(isDir);
+};
+
+module.exports = {
+  getOSInfo,
+  getSlicerBaseDir,
+  listCrealityVersions,
+  pickCrealityVersionDir,
+  getFilamentRootDir,
+  listFilamentRootDirs,
+};
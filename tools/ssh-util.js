@@ -1,3 +1,7 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const { Client } = require('ssh2');
 
 const DEBUG =
@@ -13,18 +17,107 @@ const shellQuote = (s) => {
   return `'${String(s).replace(/'/g, `'\\''`)}'`;
 };
 
-const connectSSH = ({ host, port, username, password, readyTimeout = 20000 }) => {
+const expandHome = (p) => (String(p).startsWith('~') ? path.join(os.homedir(), String(p).slice(1)) : String(p));
+
+// OpenSSH-style fingerprints: "SHA256:<base64, no padding>" or "MD5:aa:bb:...".
+const fingerprintOf = (key, algo = 'sha256') => {
+  if (algo === 'md5') {
+    const hex = crypto.createHash('md5').update(key).digest('hex');
+    return `MD5:${hex.match(/../g).join(':')}`;
+  }
+  return `SHA256:${crypto.createHash('sha256').update(key).digest('base64').replace(/=+$/, '')}`;
+};
+
+const fingerprintMatches = (key, pinned) => {
+  const want = String(pinned).trim();
+  if (/^md5:/i.test(want)) return fingerprintOf(key, 'md5').toLowerCase() === want.toLowerCase();
+  // Accept the bare base64 part too (what some UIs show without the prefix)
+  const got = fingerprintOf(key);
+  return got === want || got === `SHA256:${want.replace(/=+$/, '')}`;
+};
+
+const resolveAgent = (agent) => {
+  if (!agent) return undefined;
+  if (typeof agent === 'string') return agent;
+  if (process.env.SSH_AUTH_SOCK) return process.env.SSH_AUTH_SOCK;
+  if (process.platform === 'win32') return 'pageant';
+  throw new Error('SSH_AGENT is enabled but SSH_AUTH_SOCK is not set. Start ssh-agent or set SSH_AGENT to the socket path.');
+};
+
+/**
+ * Open an SSH session. Supports password, private key (with optional
+ * passphrase), ssh-agent and keyboard-interactive auth. When `hostFingerprint`
+ * is set, the printer's host key must match it or the connection is refused.
+ */
+const connectSSH = ({
+  host,
+  port,
+  username,
+  password,
+  privateKey,
+  privateKeyPath,
+  passphrase,
+  agent,
+  tryKeyboard = false,
+  hostFingerprint,
+  readyTimeout = 20000,
+}) => {
   return new Promise((resolve, reject) => {
     const conn = new Client();
+    let hostKeyError = null;
+
+    let key = privateKey;
+    if (!key && privateKeyPath) {
+      try {
+        key = fs.readFileSync(expandHome(privateKeyPath));
+      } catch (e) {
+        return reject(new Error(`Could not read SSH private key: ${privateKeyPath}\n${e.message}`));
+      }
+    }
+
+    let agentSock;
+    try {
+      agentSock = resolveAgent(agent);
+    } catch (e) {
+      return reject(e);
+    }
+
+    const hostVerifier = (hostKey) => {
+      const seen = fingerprintOf(hostKey);
+      if (!hostFingerprint) {
+        dlog(`Host key for ${host}: ${seen} (set HOST_FINGERPRINT to pin it)`);
+        return true;
+      }
+      if (fingerprintMatches(hostKey, hostFingerprint)) return true;
+
+      hostKeyError = new Error(
+        `Host key mismatch for ${host}:${port}.\n` +
+          `Expected ${hostFingerprint}\nGot      ${seen}\n` +
+          'Refusing to connect: the printer was re-flashed or someone is intercepting the connection.'
+      );
+      return false;
+    };
+
+    if (tryKeyboard) {
+      // Dropbear often offers password auth only as keyboard-interactive
+      conn.on('keyboard-interactive', (name, instructions, lang, prompts, finish) => {
+        finish(prompts.map(() => (password === undefined ? '' : String(password))));
+      });
+    }
 
     conn
       .on('ready', () => resolve(conn))
-      .on('error', (err) => reject(err))
+      .on('error', (err) => reject(hostKeyError || err))
       .connect({
         host,
         port,
         username,
         password,
+        privateKey: key,
+        passphrase,
+        agent: agentSock,
+        tryKeyboard,
+        hostVerifier,
         readyTimeout,
       });
   });
@@ -84,6 +177,7 @@ module.exports = {
   DEBUG,
   dlog,
   shellQuote,
+  fingerprintOf,
   connectSSH,
   exec,
   readRemoteFile,
@@ -0,0 +1,248 @@
+const path = require('path');
+
+const { MANIFEST_NAME } = require('./manifest');
+const { loadStockEntries } = require('./validate-tool');
+const { canConnect } = require('./printers');
+const { listBackups } = require('./backup-tool');
+const { shellQuote } = require('./ssh-util');
+const { withSession } = require('./session');
+
+// What is on a printer right now: its material database, which of our
+// filaments (from the uploaded manifest) made it in, what is loaded in the
+// CFS / spool holder, and whether the printer has picked up the last upload.
+// Read-only: nothing on the printer is changed.
+
+const SYNCED_FILES = ['material_database.json', 'material_option.json'];
+
+// The screen app's CFS state in the box folder, in the layout it reports as
+// boxsInfo (type 0 is a CFS unit, type 1 the external spool holder):
+//
+//   { "boxsInfo": { "materialBoxs": [
+//     { "id": 1, "type": 0, "materials": [
+//       { "id": 0, "vendor": "Creality", "type": "PLA", "name": "Hyper PLA",
+//         "rfid": "01001", "color": "#0ffffff", ... }, ...] }, ...] } }
+//
+// A file in any other shape is reported as not recognised instead of guessed at.
+const BOX_INFO_FILE = 'material_box_info.json';
+
+const readRemoteJson = async (session, remotePath) => {
+  try {
+    return { json: JSON.parse(await session.readRemoteFile(remotePath)), error: null };
+  } catch (e) {
+    if (e.code === 'PRINTER_UNREACHABLE') throw e;
+    return { json: null, error: e.message.split('\n')[0] };
+  }
+};
+
+// Regular files in a remote folder: [{ name, path, mtime, size }] (empty if it doesn't exist).
+const listRemoteFiles = async (session, dir) => {
+  const res = await session.exec(`for f in ${shellQuote(dir)}/*; do [ -f "$f" ] && stat -c '%Y %s %n' "$f"; done; true`);
+  return res.stdout
+    .split('\n')
+    .map((line) => /^(\d+) (\d+) (.+)$/.exec(line.trim()))
+    .filter(Boolean)
+    .map(([, mtime, size, p]) => ({ name: path.posix.basename(p), path: p, mtime: new Date(Number(mtime) * 1000), size: Number(size) }));
+};
+
+const text = (v) => (v === undefined || v === null || v === '' ? null : String(v));
+
+// "#0ffffff" (the firmware prefixes a 0) -> "#ffffff"
+const slotColor = (v) => {
+  const m = /^#?0?([0-9a-f]{6})$/i.exec(String(v ?? '').trim());
+  return m ? `#${m[1].toLowerCase()}` : null;
+};
+
+// Slots in a BOX_INFO_FILE, or null when it isn't in the layout above.
+const parseBoxInfo = (json) => {
+  const boxes = json?.boxsInfo?.materialBoxs ?? json?.materialBoxs;
+  if (!Array.isArray(boxes) || !boxes.length || !boxes.every((b) => b && Array.isArray(b.materials))) return null;
+  return boxes.flatMap((b) =>
+    b.materials.map((m, i) => {
+      const slot = {
+        box: Number(b.type) === 1 ? 'spool holder' : b.id ?? null,
+        slot: Number(b.type) === 1 ? null : m?.id ?? i,
+        id: text(m?.rfid),
+        vendor: text(m?.vendor),
+        type: text(m?.type),
+        name: text(m?.name),
+      };
+      const empty = !slot.id && !slot.vendor && !slot.type && !slot.name;
+      return { ...slot, color: empty ? null : slotColor(m?.color) };
+    })
+  );
+};
+
+/**
+ * Returns {
+ *   printer, reachable, error,
+ *   database: { path, version, count, error },
+ *   filaments: [{ id, vendor, type, name, present }]
+ *   filamentSource: 'manifest' | 'database'  (no manifest: the database's non-stock ids)
+ *   slots: [{ box, slot, id, vendor, type, name, color, known }]
+ *   slotsFormat: 'ok' | 'missing' | 'unrecognised'   (of BOX_INFO_FILE)
+ *   sync: { dir, version, pending, files: [{ name, uploaded, ingested, pending }] }
+ *   lastBackup: { stamp, date } | null
+ * }
+ */
+const getStatus = async (printer, { session } = {}) => {
+  const latest = listBackups(printer)[0];
+  const status = {
+    printer,
+    reachable: false,
+    error: null,
+    database: { path: printer.dbPath, version: null, count: null, error: null },
+    filaments: [],
+    filamentSource: 'manifest',
+    slots: [],
+    slotsFormat: 'missing',
+    sync: { dir: printer.remoteDir, version: null, pending: false, files: [] },
+    lastBackup: latest ? { stamp: latest.stamp, date: latest.date } : null,
+  };
+
+  if (!canConnect(printer)) {
+    status.error = 'missing host or credentials';
+    return status;
+  }
+
+  try {
+    await withSession(printer, session, async (s) => {
+      const db = await readRemoteJson(s, printer.dbPath);
+      status.reachable = true;
+      status.database.error = db.error;
+      const list = Array.isArray(db.json?.result?.list) ? db.json.result.list : [];
+      if (db.json) {
+        status.database.version = db.json.result?.version ?? null;
+        status.database.count = db.json.result?.count ?? list.length;
+      }
+
+      const manifest = await readRemoteJson(s, `${printer.remoteDir}/${MANIFEST_NAME}`);
+      const ids = new Set(list.map((m) => String(m?.base?.id ?? '')));
+      if (manifest.json) {
+        for (const f of manifest.json.filaments || []) {
+          status.filaments.push({
+            id: String(f.id),
+            vendor: f.vendor,
+            type: f.type,
+            name: f.name,
+            present: ids.has(String(f.id)),
+          });
+        }
+      } else {
+        // Never synced from here (or the manifest is gone): list what isn't stock
+        status.filamentSource = 'database';
+        const stock = loadStockEntries();
+        const seen = new Set();
+        for (const m of list) {
+          const id = String(m?.base?.id ?? '');
+          if (!id || stock.has(id) || seen.has(id)) continue;
+          seen.add(id);
+          status.filaments.push({ id, vendor: m.base.brand, type: m.base.meterialType, name: m.base.name, present: true });
+        }
+      }
+
+      const boxFiles = await listRemoteFiles(s, printer.boxDir);
+      const syncFiles = await listRemoteFiles(s, printer.remoteDir);
+
+      const boxInfo = boxFiles.find((f) => f.name === BOX_INFO_FILE);
+      if (boxInfo) {
+        const slots = parseBoxInfo((await readRemoteJson(s, boxInfo.path)).json);
+        status.slotsFormat = slots ? 'ok' : 'unrecognised';
+        for (const slot of slots || []) status.slots.push({ ...slot, known: slot.id ? ids.has(slot.id) : null });
+      }
+
+      // Uploaded files the printer hasn't copied into its box folder yet
+      for (const name of SYNCED_FILES) {
+        const uploaded = syncFiles.find((f) => f.name === name);
+        if (!uploaded) continue;
+        const ingested = boxFiles.find((f) => f.name === name) || null;
+        status.sync.files.push({
+          name,
+          uploaded: uploaded.mtime,
+          ingested: ingested ? ingested.mtime : null,
+          pending: !ingested || uploaded.mtime > ingested.mtime,
+        });
+      }
+      if (syncFiles.some((f) => f.name === 'material_database.json')) {
+        const synced = await readRemoteJson(s, `${printer.remoteDir}/material_database.json`);
+        status.sync.version = synced.json?.result?.version ?? null;
+      }
+      const newerVersion =
+        status.sync.version !== null && Number(status.sync.version) > Number(status.database.version ?? 0);
+      status.sync.pending = newerVersion || status.sync.files.some((f) => f.pending);
+    });
+  } catch (e) {
+    status.error = e.message.split('\n')[0];
+  }
+  return status;
+};
+
+const slotLabel = (slot) => {
+  if (slot.box === 'spool holder') return slot.box;
+  const parts = [];
+  if (slot.box !== null) parts.push(`box ${slot.box}`);
+  if (slot.slot !== null) parts.push(`slot ${slot.slot}`);
+  return parts.join(' ') || '?';
+};
+
+const printStatus = (status) => {
+  const { printer } = status;
+  console.log(`\n[Filament-Sync] ${printer.name} (${printer.host || 'no host'})`);
+  if (!status.reachable) {
+    console.log(`  not reachable: ${status.error}`);
+  } else if (status.database.error) {
+    console.log(`  database: ${status.database.path} could not be read (${status.database.error})`);
+  } else {
+    console.log(`  database: ${status.database.path} version ${status.database.version}, ${status.database.count} filament(s)`);
+  }
+
+  if (status.reachable) {
+    if (status.filamentSource === 'database') {
+      console.log(
+        `  custom filaments: ${status.filaments.length} not in the stock list (no ${MANIFEST_NAME} in ${printer.remoteDir})`
+      );
+      for (const f of status.filaments) console.log(`    ${f.id} ${f.vendor} / ${f.type} / ${f.name}`);
+    } else if (!status.filaments.length) {
+      console.log(`  synced filaments: none (the ${MANIFEST_NAME} in ${printer.remoteDir} lists none)`);
+    } else {
+      const missing = status.filaments.filter((f) => !f.present).length;
+      console.log(`  synced filaments: ${status.filaments.length}${missing ? ` (${missing} not in the database yet)` : ''}`);
+      for (const f of status.filaments) {
+        console.log(`    ${f.present ? '✓' : '✗'} ${f.id} ${f.vendor} / ${f.type} / ${f.name}`);
+      }
+    }
+  }
+
+  if (status.reachable) {
+    if (status.slotsFormat === 'missing') {
+      console.log(`  loaded filaments: no ${BOX_INFO_FILE} in ${printer.boxDir}`);
+    } else if (status.slotsFormat === 'unrecognised') {
+      console.log(`  loaded filaments: ${printer.boxDir}/${BOX_INFO_FILE} is in a format this tool doesn't recognise`);
+    } else if (!status.slots.length) {
+      console.log('  loaded filaments: none');
+    } else {
+      console.log('  loaded filaments:');
+      for (const slot of status.slots) {
+        const what = [slot.vendor, slot.type, slot.name].filter(Boolean).join(' / ') || '(empty)';
+        const id = slot.id ? ` [${slot.id}${slot.known === false ? ', not in the database' : ''}]` : '';
+        console.log(`    ${slotLabel(slot)}: ${what}${slot.color ? ` ${slot.color}` : ''}${id}`);
+      }
+    }
+
+    const { sync } = status;
+    if (!sync.files.length) {
+      console.log(`  last upload: nothing in ${sync.dir}`);
+    } else {
+      const uploaded = new Date(Math.max(...sync.files.map((f) => f.uploaded)));
+      console.log(
+        sync.pending
+          ? `  last upload: ${uploaded.toLocaleString()}, NOT picked up by the printer yet${sync.version ? ` (uploaded version ${sync.version})` : ''}`
+          : `  last upload: ${uploaded.toLocaleString()}, picked up by the printer`
+      );
+    }
+  }
+
+  const b = status.lastBackup;
+  console.log(`  last local backup: ${b ? `${b.stamp} (${b.date.toLocaleString()})` : 'none'}`);
+};
+
+module.exports = { getStatus, printStatus };
@@ -0,0 +1,132 @@
+const database = require('./database-tool.js');
+const options = require('./options-tool.js');
+const sendToPrinter = require('./scp.js');
+const manifest = require('./manifest.js');
+const diff = require('./diff-tool.js');
+const { selectPrinters, canConnect } = require('./printers.js');
+const { createSession } = require('./session.js');
+const { initData, readProfiles } = require('./config.js');
+
+/**
+ * Build material_database.json / material_option.json for one printer against
+ * its current files and upload them.
+ *
+ * dryRun        - stop after the build; nothing is written to ./data or the printer
+ * upload        - false: build the files and manifest in ./data but don't upload
+ * skipUnchanged - don't upload when the build doesn't change anything
+ *
+ * Returns { changes, uploaded } where `changes` is the diff vs the printer.
+ */
+const syncPrinter = async (
+  printer,
+  profiles,
+  { session, dryRun = false, upload = true, skipUnchanged = false } = {}
+) => {
+  // Each printer gets its own baseline, build and manifest
+  const previous = await manifest.loadManifest(printer, { session });
+
+  // Build the two files Creality actually consumes
+  const build = { printer, session, previous: previous.filaments, write: !dryRun };
+  const opt = await options.addToOptions(profiles, build);
+  const db = await database.addToDatabase(profiles, build);
+
+  const changes = {
+    database: diff.diffDatabase(db.base, db.result),
+    options: diff.diffOptions(opt.base, opt.result),
+  };
+
+  if (dryRun || (skipUnchanged && !diff.hasChanges(changes))) {
+    return { changes, uploaded: false };
+  }
+
+  // Record the ids we own so the next sync can prune ones deleted in the slicer
+  manifest.writeManifest(manifest.buildManifest(profiles, printer), printer);
+  if (!upload) return { changes, uploaded: false };
+
+  // Upload to printer (Creality Hi: no SFTP server, so we use pure SSH exec + cat)
+  await sendToPrinter(printer, { session });
+  return { changes, uploaded: true };
+};
+
+/**
+ * Read and validate the slicer presets, then syncPrinter for every selected
+ * printer, one SSH session each. With several printers a failure is reported
+ * and the rest still sync; throws at the end if any failed. `json` prints the
+ * dry-run diff as JSON instead of text.
+ */
+const syncPrinters = async (opts = {}) => (opts.json ? logsToStderr(() => syncAll(opts)) : syncAll(opts));
+
+// --json: stdout carries only the JSON document, progress logs go to stderr
+const logsToStderr = async (fn) => {
+  const stdoutLog = console.log;
+  console.log = console.error;
+  try {
+    return await fn();
+  } finally {
+    console.log = stdoutLog;
+  }
+};
+
+const syncAll = async ({ printerArgs = [], stagedBaseDirs, ...opts } = {}) => {
+  // One SSH connection per printer, shared by validation, the baseline reads and the upload
+  const targets = selectPrinters(printerArgs).map((printer) => ({
+    printer,
+    session: canConnect(printer) ? createSession(printer) : null,
+  }));
+  try {
+    await initData({ targets, stagedBaseDirs, dryRun: opts.dryRun });
+    return await syncTargets(readProfiles(), targets, opts);
+  } finally {
+    for (const { session } of targets) if (session) session.close();
+  }
+};
+
+const syncTargets = async (profiles, targets, { dryRun = false, upload = true, json = false } = {}) => {
+  const printers = targets.map((t) => t.printer);
+  const results = [];
+  const diffs = {};
+
+  for (const { printer, session } of targets) {
+    if (printers.length > 1) console.log(`\n[Filament-Sync] === ${printer.name} (${printer.host || 'no host'}) ===`);
+    try {
+      const { changes } = await syncPrinter(printer, profiles, { session, dryRun, upload });
+      if (dryRun || !upload) {
+        diffs[printer.name] = changes;
+        if (!json) diff.printDiff(changes);
+      }
+      results.push({ printer, ok: true });
+    } catch (err) {
+      if (printers.length === 1) throw err;
+      // Keep going so one offline printer doesn't block the rest
+      console.error(`[Filament-Sync] ERROR (${printer.name}):`, err?.message || err);
+      if (process.env.FILAMENT_SYNC_DEBUG) console.error(err);
+      results.push({ printer, ok: false, error: err });
+    } finally {
+      if (session) session.close();
+    }
+  }
+
+  if (json && (dryRun || !upload)) {
+    process.stdout.write(`${JSON.stringify(printers.length > 1 ? diffs : Object.values(diffs)[0] ?? {}, null, 2)}\n`);
+  }
+
+  const done = dryRun ? 'OK (dry run)' : upload ? 'OK' : 'OK (built)';
+  if (printers.length > 1) {
+    console.log('\n[Filament-Sync] Summary:');
+    for (const r of results) {
+      const status = r.ok ? done : `FAILED - ${(r.error?.message || String(r.error)).split('\n')[0]}`;
+      console.log(`  ${r.printer.name}: ${status}`);
+    }
+  }
+
+  if (dryRun) console.log('\n[Filament-Sync] Dry run: nothing was uploaded to the printer.');
+  else if (!upload) console.log('\n[Filament-Sync] Built the files in ./data; nothing was uploaded to the printer.');
+
+  const failed = results.filter((r) => !r.ok);
+  if (failed.length) {
+    throw new Error(`${failed.length} of ${results.length} printer(s) failed to sync.`);
+  }
+  return results;
+};
+
+module.exports = { syncPrinter, syncPrinters, logsToStderr };
@@ -0,0 +1,155 @@
+const cfg = require('./settings');
+
+// Which printer models and nozzle sizes a preset is for.
+//
+// The printer keeps one material_database.json entry per (printerIntName,
+// nozzleDiameter) for each filament id, like the OEM entries. A preset's
+// targets come from its compatible_printers ("Creality Hi 0.4 nozzle"), or
+// else from the system preset it inherits ("Generic PLA @Creality Hi 0.6 nozzle").
+//
+// Slicer model names are mapped to printer codes through PRINTER_MODELS in
+// user-config.js and each PRINTERS entry's MODEL; targets for a model with no
+// code are skipped with a warning.
+
+const log = (...args) => console.log('[Filament-Sync][targets]', ...args);
+
+const DEFAULT_NOZZLE = '0.4';
+
+// Model codes we know; PRINTER_MODELS in user-config.js adds to / overrides these.
+const KNOWN_MODELS = {
+  'Creality Hi': 'F008',
+};
+
+const NOZZLE_RE = /^(.*?)\s*(\d+(?:\.\d+)?)\s*(?:mm\s*)?nozzle$/i;
+
+const normalizeNozzle = (n) => {
+  const value = Number(n);
+  return Number.isFinite(value) && value > 0 ? String(value) : null;
+};
+
+// "Creality Hi 0.4 nozzle" -> { model: 'Creality Hi', nozzle: '0.4' }
+const parsePrinterPreset = (name) => {
+  const m = NOZZLE_RE.exec(String(name ?? '').trim());
+  if (!m) return null;
+  const nozzle = normalizeNozzle(m[2]);
+  return nozzle ? { model: m[1].trim(), nozzle } : null;
+};
+
+const toList = (v) => {
+  if (Array.isArray(v)) return v.flatMap(toList);
+  return String(v ?? '')
+    .split(/[;,]/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+};
+
+// "Generic PLA @Creality Hi 0.4 nozzle" -> "Creality Hi 0.4 nozzle"
+const printerPartOf = (presetName) => {
+  const at = String(presetName ?? '').lastIndexOf('@');
+  return at >= 0 ? presetName.slice(at + 1).trim() : '';
+};
+
+const unique = (targets) => {
+  const seen = new Set();
+  return targets.filter((t) => {
+    const key = `${t.model.toLowerCase()}\u0000${t.nozzle}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+/**
+ * Files an expanded preset was merged from, as paths relative to the slicer's
+ * profile tree, nearest (the user preset) first. Empty for other presets.
+ */
+const expandedChain = (profile) => {
+  const v = profile?.filament_sync_chain;
+  const chain = Array.isArray(v) ? v[0] : v;
+  return chain ? String(chain).split(';') : [];
+};
+
+/**
+ * [{ model, nozzle }] the preset is for; empty when it doesn't say.
+ */
+const presetTargets = (profile) => {
+  const fromCompatible = toList(profile?.compatible_printers).map(parsePrinterPreset).filter(Boolean);
+  if (fromCompatible.length) return unique(fromCompatible);
+
+  // The inherited system preset, nearest first (expanded presets list their whole chain)
+  const inherited = [
+    ...toList(profile?.inherits),
+    ...expandedChain(profile).map((p) => p.split('/').pop().replace(/\.json$/i, '')),
+  ];
+  for (const name of inherited) {
+    const target = parsePrinterPreset(printerPartOf(name));
+    if (target) return [target];
+  }
+  return [];
+};
+
+const modelCodes = (printer) => {
+  const codes = new Map();
+  const models = { ...KNOWN_MODELS, ...(cfg.PRINTER_MODELS || {}) };
+  for (const [model, code] of Object.entries(models)) codes.set(model.toLowerCase(), String(code));
+  if (printer?.model) codes.set(String(printer.model).toLowerCase(), printer.printerIntName);
+  return codes;
+};
+
+// Models of the preset's targets that have no printer code when syncing `printer`.
+const unmappedModels = (profile, printer) => {
+  const codes = modelCodes(printer);
+  return [...new Set(presetTargets(profile).map((t) => t.model))].filter((model) => !codes.has(model.toLowerCase()));
+};
+
+const warnedModels = new Set();
+
+/**
+ * The (printerIntName, nozzleDiameter) entries to write for a preset when
+ * syncing `printer`. A preset without targets gets the printer's code and a
+ * 0.4 nozzle; targets for models without a code are left out (with a
+ * warning unless `warn` is false).
+ */
+const entryTargets = (profile, printer, { warn = true } = {}) => {
+  const targets = presetTargets(profile);
+  if (!targets.length) {
+    return [{ printerIntName: printer?.printerIntName || KNOWN_MODELS['Creality Hi'], nozzle: DEFAULT_NOZZLE }];
+  }
+
+  const codes = modelCodes(printer);
+  const seen = new Set();
+  const out = [];
+  for (const t of targets) {
+    const printerIntName = codes.get(t.model.toLowerCase());
+    if (!printerIntName) {
+      // Guessing a code would put several models' presets on one entry
+      if (warn && !warnedModels.has(t.model)) {
+        warnedModels.add(t.model);
+        log(`WARN: no printer code for "${t.model}"; skipping presets for it. Add it to PRINTER_MODELS in user-config.js.`);
+      }
+      continue;
+    }
+    const key = `${printerIntName}\u0000${t.nozzle}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    out.push({ printerIntName, nozzle: t.nozzle });
+  }
+  return out;
+};
+
+const entryNozzle = (m) => normalizeNozzle(Array.isArray(m?.nozzleDiameter) ? m.nozzleDiameter[0] : m?.nozzleDiameter) ?? '';
+
+// Key of one printer entry within its filament id.
+const targetKey = (printerIntName, nozzle) => `${printerIntName ?? ''}@${nozzle ?? ''}`;
+const entryTargetKey = (m) => targetKey(m?.printerIntName, entryNozzle(m));
+
+module.exports = {
+  DEFAULT_NOZZLE,
+  parsePrinterPreset,
+  expandedChain,
+  presetTargets,
+  unmappedModels,
+  entryTargets,
+  targetKey,
+  entryTargetKey,
+};
@@ -0,0 +1,254 @@
+const fs = require('fs');
+const path = require('path');
+
+const { entryTargets, unmappedModels, targetKey } = require('./targets');
+const { canConnect } = require('./printers');
+const { withSession } = require('./session');
+const { loadManifest } = require('./manifest');
+
+// Validates filament_notes across all presets before anything is built.
+//
+// Each problem has a level:
+//   error    - this preset can't be synced and is skipped
+//   conflict - the presets disagree with each other or with the ids already on
+//              the printer; the whole sync is refused until it is fixed
+//   warning  - suspicious but synced anyway
+
+const log = (...args) => console.log('[Filament-Sync][validate]', ...args);
+
+const ID_RE = /^\d{5}$/;
+const REQUIRED_FIELDS = ['vendor', 'type', 'name'];
+const COLOR_RE = /^#?[0-9a-f]{6}$/i;
+
+// "55/8", [55, 8] or { temp: 55, time: 8 }
+const isDrying = (dry) => {
+  const parts = Array.isArray(dry) ? dry : dry && typeof dry === 'object' ? [dry.temp, dry.time] : String(dry).split('/');
+  return parts.length === 2 && parts.every((v) => Number.isFinite(Number(v)) && String(v).trim() !== '');
+};
+
+const getNotesString = (profile) => {
+  const n = profile?.filament_notes;
+  if (Array.isArray(n)) return String(n[0] ?? '');
+  if (typeof n === 'string') return n;
+  return '';
+};
+
+const safeFirst = (v) => (Array.isArray(v) ? v[0] : v);
+
+const addEntries = (map, list, skipIds = new Set()) => {
+  for (const m of Array.isArray(list) ? list : []) {
+    const id = m?.base?.id ? String(m.base.id) : '';
+    if (id && !skipIds.has(id) && !map.has(id)) map.set(id, { brand: m.base.brand, name: m.base.name });
+  }
+  return map;
+};
+
+// OEM entries shipped with the firmware (the sourcedata snapshot), keyed by id.
+const loadStockEntries = () => {
+  const p = path.join(__dirname, 'sourcedata', 'material_database.json');
+  return addEntries(new Map(), JSON.parse(fs.readFileSync(p, 'utf8'))?.result?.list);
+};
+
+/**
+ * Every id already taken on the printers, keyed by id: the stock snapshot plus
+ * whatever each printer's material_database.json holds, minus the ids our last
+ * sync put there (its manifest). `targets` is [{ printer, session }]; printers
+ * that can't be read only get the snapshot.
+ */
+const loadOemEntries = async (targets = []) => {
+  const map = loadStockEntries();
+  for (const { printer, session } of targets) {
+    if (!canConnect(printer)) continue;
+    try {
+      await withSession(printer, session, async (s) => {
+        const list = JSON.parse(await s.readRemoteFile(printer.dbPath))?.result?.list;
+        const ours = new Set((await loadManifest(printer, { session: s })).filaments.map((f) => f.id));
+        addEntries(map, list, ours);
+      });
+    } catch (e) {
+      log(`${printer.name}: couldn't read ${printer.dbPath} (${e.message.split('\n')[0]}); checking ids against the stock list only.`);
+    }
+  }
+  return map;
+};
+
+const checkNotes = (profile, add) => {
+  const raw = getNotesString(profile).trim();
+  if (!raw || raw === '""') {
+    add('error', 'filament_notes', 'is empty. Add {"id":"","vendor":"","type":"","name":""} to the preset Notes.');
+    return null;
+  }
+
+  let notes;
+  try {
+    notes = JSON.parse(raw);
+  } catch (e) {
+    add('error', 'filament_notes', `is not valid JSON (${e.message}): ${raw.slice(0, 80)}`);
+    return null;
+  }
+  if (!notes || typeof notes !== 'object' || Array.isArray(notes)) {
+    add('error', 'filament_notes', 'must be a JSON object like {"id":"01234","vendor":"...","type":"...","name":"..."}');
+    return null;
+  }
+
+  let ok = true;
+  if (notes.id === undefined || notes.id === null || notes.id === '') {
+    add('error', 'filament_notes.id', 'is missing.');
+    ok = false;
+  } else if (typeof notes.id === 'number') {
+    add('error', 'filament_notes.id', `must be a quoted 5-digit string (got number ${notes.id}; leading zeros are lost).`);
+    ok = false;
+  } else if (!ID_RE.test(String(notes.id))) {
+    add('error', 'filament_notes.id', `"${notes.id}" must be exactly five digits, e.g. "01234".`);
+    ok = false;
+  }
+
+  for (const field of REQUIRED_FIELDS) {
+    const v = notes[field];
+    if (typeof v !== 'string' || !v.trim()) {
+      add('error', `filament_notes.${field}`, v === undefined ? 'is missing.' : `must be a non-empty string (got ${JSON.stringify(v)}).`);
+      ok = false;
+    } else if (v.includes('\n')) {
+      add('error', `filament_notes.${field}`, 'must not contain line breaks (material_option.json is newline-separated).');
+      ok = false;
+    }
+  }
+
+  // Optional extras for the printer's base block; a bad value is ignored
+  if (notes.colors !== undefined) {
+    const colors = Array.isArray(notes.colors) ? notes.colors : String(notes.colors).split(/[;,]/);
+    const valid = colors.filter((c) => COLOR_RE.test(String(c).trim()));
+    if (valid.length < colors.length || !valid.length) {
+      const using = valid.length ? 'ignoring the others' : 'using default_filament_colour';
+      add('warning', 'filament_notes.colors', `should be "#rrggbb" colours (got ${JSON.stringify(notes.colors)}); ${using}.`);
+    }
+  }
+  if (notes.dry !== undefined && !isDrying(notes.dry)) {
+    add('warning', 'filament_notes.dry', `should be "temp/hours" like "55/8" (got ${JSON.stringify(notes.dry)}).`);
+  }
+
+  return ok ? notes : null;
+};
+
+// The printerIntName@nozzle entries a preset writes on any of `printers`.
+const presetKeys = (profile, printers) => {
+  const keys = new Set();
+  for (const printer of printers.length ? printers : [null]) {
+    for (const t of entryTargets(profile, printer, { warn: false })) keys.add(targetKey(t.printerIntName, t.nozzle));
+  }
+  return keys;
+};
+
+// Same vendor/type/name written to different printer entries (model code and nozzle).
+const isOtherVariant = (a, b) => {
+  const sameFilament = ['vendor', 'type', 'name'].every((k) => a.notes[k] === b.notes[k]);
+  return sameFilament && ![...b.keys].some((k) => a.keys.has(k));
+};
+
+/**
+ * Validate a list of { profile, source } entries. `printers` are the printers
+ * being synced, for mapping preset targets to their entries.
+ *
+ * Returns { problems, invalid, conflicts } where `invalid` is the Set of
+ * profiles that must be skipped and `conflicts` counts sync-blocking problems.
+ */
+const validateProfiles = (entries, { oemEntries = loadStockEntries(), printers = [] } = {}) => {
+  const problems = [];
+  const invalid = new Set();
+  const byId = new Map();
+  const byName = new Map();
+
+  for (const { profile, source } of entries) {
+    const label = source || `[${safeFirst(profile?.filament_vendor) || 'UnknownVendor'} ${safeFirst(profile?.name) || 'UnknownName'}]`;
+    const add = (level, field, message) => problems.push({ level, source: label, field, message });
+
+    const notes = checkNotes(profile, add);
+    if (!notes) {
+      invalid.add(profile);
+      continue;
+    }
+
+    const id = String(notes.id);
+    if (!byId.has(id)) byId.set(id, []);
+    byId.get(id).push({ label, notes, keys: presetKeys(profile, printers) });
+
+    for (const printer of printers.length ? printers : [null]) {
+      const models = unmappedModels(profile, printer);
+      if (!models.length) continue;
+      add(
+        'warning',
+        'compatible_printers',
+        `no printer code for ${models.map((m) => `"${m}"`).join(', ')}${printer ? ` on ${printer.name}` : ''}; ` +
+          'skipped for those models. Add them to PRINTER_MODELS in user-config.js.'
+      );
+    }
+
+    const nameKey = `${notes.vendor}\u0000${notes.type}\u0000${notes.name}`;
+    if (!byName.has(nameKey)) byName.set(nameKey, []);
+    byName.get(nameKey).push({ label, notes });
+
+    const oem = oemEntries.get(id);
+    if (oem) {
+      // Reusing a printer id on purpose (same brand + name) overrides that filament's settings
+      const sameFilament = oem.brand === notes.vendor && oem.name === notes.name;
+      if (sameFilament) {
+        add('warning', 'filament_notes.id', `"${id}" is the printer's id for ${oem.brand} ${oem.name}; this preset will override it.`);
+      } else {
+        add(
+          'conflict',
+          'filament_notes.id',
+          `"${id}" is already used by the printer's filament ${oem.brand} ${oem.name}. Pick an unused id.`
+        );
+      }
+    }
+  }
+
+  for (const [id, users] of byId) {
+    if (users.length < 2) continue;
+    for (const u of users) {
+      // Presets of the same filament for different nozzles/models may share an id
+      const others = users.filter((o) => o !== u && !isOtherVariant(u, o)).map((o) => o.label);
+      if (!others.length) continue;
+      problems.push({
+        level: 'conflict',
+        source: u.label,
+        field: 'filament_notes.id',
+        message: `"${id}" is also used by: ${others.join(', ')}`,
+      });
+    }
+  }
+
+  for (const users of byName.values()) {
+    if (users.length < 2) continue;
+    const ids = [...new Set(users.map((u) => String(u.notes.id)))];
+    if (ids.length < 2) continue; // already reported as an id conflict
+    for (const u of users) {
+      problems.push({
+        level: 'warning',
+        source: u.label,
+        field: 'filament_notes.name',
+        message: `"${u.notes.vendor} / ${u.notes.type} / ${u.notes.name}" is shared by ids ${ids.join(', ')}; the printer will list it once.`,
+      });
+    }
+  }
+
+  const conflicts = problems.filter((p) => p.level === 'conflict').length;
+  return { problems, invalid, conflicts };
+};
+
+const printReport = ({ problems }) => {
+  if (!problems.length) return;
+
+  const bySource = new Map();
+  for (const p of problems) {
+    if (!bySource.has(p.source)) bySource.set(p.source, []);
+    bySource.get(p.source).push(p);
+  }
+
+  for (const [source, list] of bySource) {
+    log(source);
+    for (const p of list) log(`  ${p.level.toUpperCase()} ${p.field}: ${p.message}`);
+  }
+};
+
+module.exports = { validateProfiles, printReport, loadStockEntries, loadOemEntries };
@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+
+const { dlog, shellQuote } = require('./ssh-util');
+
+// Checks that an uploaded file arrived intact: same checksum as the local copy
+// (sha256sum, else md5sum on the printer; a full re-read when the firmware has
+// neither), valid JSON, and for material_database.json every id we synced.
+
+const HASH_TOOLS = [
+  { algo: 'sha256', command: 'sha256sum', re: /^[0-9a-f]{64}\b/i },
+  { algo: 'md5', command: 'md5sum', re: /^[0-9a-f]{32}\b/i },
+];
+
+// Per session: the first hash tool that worked, or null when none exists.
+const hashToolCache = new WeakMap();
+
+const remoteChecksum = async (session, remotePath) => {
+  const cached = hashToolCache.get(session);
+  const tools = cached === undefined ? HASH_TOOLS : cached ? [cached] : [];
+  for (const tool of tools) {
+    const res = await session.exec(`${tool.command} ${shellQuote(remotePath)}`);
+    if (res.code === 127) continue; // not on this firmware
+    const m = res.code === 0 ? tool.re.exec(res.stdout.trim()) : null;
+    if (!m) throw new Error(`${tool.command} failed: ${(res.stderr || res.stdout).trim() || `exit ${res.code}`}`);
+    hashToolCache.set(session, tool);
+    return { algo: tool.algo, hash: m[0].toLowerCase() };
+  }
+  hashToolCache.set(session, null);
+  return null;
+};
+
+/**
+ * Verify one uploaded file against the local bytes `data`.
+ *
+ * ids - for material_database.json: filament ids that must be in result.list
+ *
+ * Returns { ok, method, problems: [string] }.
+ */
+const verifyRemoteFile = async (session, remotePath, data, { ids = [] } = {}) => {
+  const problems = [];
+  let method = 're-read';
+  let content = null;
+
+  try {
+    const remote = await remoteChecksum(session, remotePath);
+    if (remote) {
+      method = remote.algo;
+      const local = crypto.createHash(remote.algo).update(data).digest('hex');
+      if (local !== remote.hash) problems.push(`${remote.algo} mismatch (local ${local}, printer ${remote.hash})`);
+    } else {
+      content = await session.readRemoteFile(remotePath);
+      if (content !== data.toString('utf8')) problems.push(`content differs (${Buffer.byteLength(content)} of ${data.length} bytes)`);
+    }
+  } catch (e) {
+    if (e.code === 'PRINTER_UNREACHABLE') throw e;
+    problems.push(e.message.split('\n')[0]);
+  }
+
+  if (remotePath.endsWith('.json') && !problems.length) {
+    let json = null;
+    try {
+      json = JSON.parse(content ?? (await session.readRemoteFile(remotePath)));
+    } catch (e) {
+      if (e.code === 'PRINTER_UNREACHABLE') throw e;
+      problems.push(`not valid JSON on the printer (${e.message.split('\n')[0]})`);
+    }
+    if (json && ids.length) {
+      const list = Array.isArray(json?.result?.list) ? json.result.list : [];
+      const present = new Set(list.map((m) => String(m?.base?.id ?? '')));
+      const missing = ids.filter((id) => !present.has(String(id)));
+      if (missing.length) problems.push(`missing filament id(s) ${missing.join(', ')}`);
+    }
+  }
+
+  dlog(`verify: ${remotePath} (${method}) ${problems.length ? problems.join('; ') : 'OK'}`);
+  return { ok: !problems.length, method, problems };
+};
+
+module.exports = { remoteChecksum, verifyRemoteFile };
@@ -8,6 +8,15 @@ module.exports = {
   USER: 'root',
   PASSWORD: 'PRINTER_SSH_PASSWORD_HERE',
 
+  // Optional: safer alternatives to a plaintext PASSWORD (leave PASSWORD blank to use only these).
+  // PRIVATE_KEY: '~/.ssh/id_ed25519',   // private key file; add its public key to the printer's authorized_keys
+  // PASSPHRASE: '',                     // only if the private key is encrypted
+  // SSH_AGENT: true,                    // use ssh-agent (SSH_AUTH_SOCK) or Pageant on Windows; or a socket path
+  // KEYBOARD_INTERACTIVE: true,         // answer keyboard-interactive prompts with PASSWORD
+  // Pin the printer's host key so a changed key (MITM) is refused. Run once with
+  // FILAMENT_SYNC_DEBUG=1 to print the fingerprint, then paste it here.
+  // HOST_FINGERPRINT: 'SHA256:...',
+
   // Slicer integration
   // "creality" = Creality Print, "orca" = OrcaSlicer
   SLICER: 'creality',
@@ -22,4 +31,37 @@ module.exports = {
   // Optional: where to read the printer's current DB/options as a baseline.
   // Defaults to Creality Hi's box directory.
   REMOTE_BOX_DIR: '/mnt/UDISK/creality/userdata/box',
+
+  // Optional: write material_database.json / material_option.json straight into
+  // REMOTE_BOX_DIR (keeping their owner and mode) for printers without the
+  // Filament-Sync service, then run UI_RESTART_COMMAND on the printer so the
+  // screen app loads them. There is no default command: without one the printer
+  // only shows the new filaments after it is restarted.
+  // DIRECT_WRITE: true,
+  // UI_RESTART_COMMAND: '<command that restarts the printer screen app>',
+
+  // Optional: local backup retention for ./backups (0 = no limit).
+  // BACKUP_KEEP: 20,           // keep this many newest snapshots per printer
+  // BACKUP_MAX_AGE_DAYS: 0,    // delete snapshots older than this
+
+  // Optional: how long `node watch.js` waits after the last preset save before syncing.
+  // WATCH_DEBOUNCE_MS: 2000,
+
+  // Optional: printer model codes for presets that target other models through
+  // compatible_printers / "@<model> <size> nozzle" (Creality Hi = F008 is built in).
+  // Presets for a model with no code are skipped for it.
+  // PRINTER_MODELS: { 'Creality K2 Plus': '<see printerIntName in its material_database.json>' },
+
+  // Optional: sync several printers in one run. When PRINTERS is set, the single
+  // PRINTER_IP above is ignored; PORT/USER/PASSWORD/REMOTE_* above are used as
+  // defaults for any entry that doesn't set its own. NAME must be unique; it is
+  // used for --printer <NAME> and for the data/<NAME> and backups/<NAME> folders.
+  // PRINTER_INT_NAME is the printer model code written into each DB entry
+  // (Creality Hi = "F008").
+  // MODEL is the slicer's name for that printer model ("Creality Hi"); presets
+  // for it are written with its PRINTER_INT_NAME.
+  // PRINTERS: [
+  //   { NAME: 'hi-1', PRINTER_IP: '192.168.1.50', PASSWORD: '...', PRINTER_INT_NAME: 'F008' },
+  //   { NAME: 'k2-1', PRINTER_IP: '192.168.1.51', PASSWORD: '...', PRINTER_INT_NAME: '<see printerIntName in its material_database.json>' },
+  // ],
 };
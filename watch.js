@@ -0,0 +1,160 @@
+const fs = require('fs');
+
+const cfg = require('./tools/settings');
+const { initData, readProfiles, getFilamentRoots } = require('./tools/config.js');
+const { expandPresets, stagePresets } = require('./fix-creality-base-filaments.js');
+const diff = require('./tools/diff-tool.js');
+const { syncPrinter } = require('./tools/sync.js');
+const { selectPrinters, parsePrinterArgs, canConnect } = require('./tools/printers.js');
+const { createSession } = require('./tools/session.js');
+
+// Watch the slicer's filament folders (one per Creality Print version) and sync
+// whenever a preset is saved.
+//
+//   node watch.js                    sync once now, then on every change
+//   node watch.js --printer <NAME>   only sync those PRINTERS entries
+//   node watch.js --dry-run          show what each change would do; write nothing
+//
+// Creality Print writes a preset several times per save, so changes are
+// collected until the folder has been quiet for WATCH_DEBOUNCE_MS. Only the
+// changed presets are re-expanded, and a printer is only uploaded to when the
+// build differs from what it has. Errors are logged and the watch goes on.
+
+const DEFAULT_DEBOUNCE_MS = 2000;
+const RETRY_WATCH_MS = 10000;
+
+const debounceMs = Number(cfg.WATCH_DEBOUNCE_MS ?? DEFAULT_DEBOUNCE_MS) || DEFAULT_DEBOUNCE_MS;
+
+const log = (...args) => console.log('[Filament-Sync][watch]', ...args);
+const logError = (what, err) => {
+  console.error(`[Filament-Sync][watch] ERROR (${what}):`, err?.message || err);
+  if (process.env.FILAMENT_SYNC_DEBUG) console.error(err);
+};
+
+const isPresetFile = (name) => !!name && !name.startsWith('.') && name.toLowerCase().endsWith('.json');
+
+const pending = new Set();
+let fullRun = true; // the first run (and runs after a watcher error) expand everything
+let timer = null;
+let running = false;
+let printerArgs = [];
+let dryRun = false;
+
+const syncAll = async (printers, stagedBaseDirs) => {
+  const targets = printers.map((printer) => ({ printer, session: canConnect(printer) ? createSession(printer) : null }));
+  try {
+    await initData({ targets, stagedBaseDirs, dryRun });
+  } catch (err) {
+    for (const { session } of targets) if (session) session.close();
+    throw err;
+  }
+  const profiles = readProfiles();
+
+  for (const { printer, session } of targets) {
+    try {
+      const { changes, uploaded } = await syncPrinter(printer, profiles, { session, dryRun, skipUnchanged: true });
+      if (dryRun) {
+        log(`${printer.name}: dry run, not uploaded.`);
+        diff.printDiff(changes);
+      } else if (uploaded) {
+        log(`${printer.name}: uploaded.`);
+        diff.printDiff(changes);
+      } else {
+        log(`${printer.name}: already up to date.`);
+      }
+    } catch (err) {
+      logError(printer.name, err);
+    } finally {
+      if (session) session.close();
+    }
+  }
+};
+
+const runCycle = async () => {
+  if (running) return; // re-scheduled when the current run finishes
+  running = true;
+
+  const changed = [...pending];
+  const everything = fullRun;
+  pending.clear();
+  fullRun = false;
+
+  let stage = null;
+  try {
+    log(everything ? 'Syncing all presets...' : `Changed: ${changed.join(', ')}`);
+
+    try {
+      // A dry run never updates filament/base, so its copy is expanded in full each time
+      if (dryRun) stage = stagePresets();
+      else expandPresets({ only: everything ? null : changed });
+    } catch (err) {
+      // OrcaSlicer / uncut presets still sync without the expander
+      logError('expand', err);
+    }
+
+    await syncAll(selectPrinters(printerArgs), stage?.staged);
+  } catch (err) {
+    logError('sync', err);
+  } finally {
+    if (stage) stage.cleanup();
+    running = false;
+    if (pending.size || fullRun) schedule();
+    else log('Waiting for changes...');
+  }
+};
+
+const schedule = () => {
+  clearTimeout(timer);
+  timer = setTimeout(runCycle, debounceMs);
+};
+
+const startWatching = (dir) => {
+  let watcher;
+  try {
+    watcher = fs.watch(dir, (eventType, filename) => {
+      const name = filename ? String(filename) : null;
+      if (!isPresetFile(name)) return;
+      pending.add(name);
+      schedule();
+    });
+  } catch (err) {
+    logError(`watch ${dir}`, err);
+    setTimeout(() => startWatching(dir), RETRY_WATCH_MS);
+    return;
+  }
+
+  watcher.on('error', (err) => {
+    logError(`watch ${dir}`, err);
+    watcher.close();
+    // Events may have been missed; re-check everything once it's back
+    fullRun = true;
+    setTimeout(() => startWatching(dir), RETRY_WATCH_MS);
+  });
+};
+
+// Runs until the process is stopped; throws only if it can't start.
+const startWatch = ({ printerArgs: selected = [], dryRun: dry = false } = {}) => {
+  const dirs = getFilamentRoots();
+  selectPrinters(selected); // fail fast on an unknown --printer
+  printerArgs = selected;
+  dryRun = dry;
+  log(`Watching ${dirs.join(', ')} (debounce ${debounceMs} ms). Press Ctrl+C to stop.`);
+  for (const dir of dirs) startWatching(dir);
+  schedule();
+};
+
+module.exports = { startWatch };
+
+// Entrypoint
+if (require.main === module) {
+  try {
+    const argv = process.argv.slice(2);
+    startWatch({ printerArgs: parsePrinterArgs(argv), dryRun: argv.includes('--dry-run') });
+  } catch (err) {
+    console.error('\n[Filament-Sync] ERROR:', err?.message || err);
+    if (process.env.FILAMENT_SYNC_DEBUG) {
+      console.error(err);
+    }
+    process.exit(1);
+  }
+}
@@ -7,12 +7,9 @@ pushd "%~dp0"
 REM Optional: enable verbose logging
 REM set FILAMENT_SYNC_DEBUG=1
 
-REM 1) Work around Creality Print bug by generating /filament/base presets
-node fix-creality-base-filaments.js
-if errorlevel 1 goto :err
-
-REM 2) Build material_database.json + material_option.json and upload to printer
-node main.js
+REM Expand /filament/base presets, build material_database.json + material_option.json
+REM and upload them to the printer (see: node cli.js --help)
+node cli.js sync
 if errorlevel 1 goto :err
 
 popd